@@ -0,0 +1,45 @@
+// Bomb.js - A lit bomb dropped by the player, which explodes after its fuse
+import SpriteItem from './SpriteItem.js';
+
+export default class Bomb extends SpriteItem {
+	/**
+	 * Takes the same config as SpriteItem, plus:
+	 * @param {number} config.fuse - Time in ms before it explodes.
+	 * @param {number} config.radius - Distance the explosion reaches.
+	 * @param {number} config.damage - Damage dealt to enemies caught in it (explosion damage).
+	 * @param {number} config.knockback - Speed everything caught in it is pushed away with.
+	 * Emits 'explode' (with the bomb) when the fuse runs out, then removes itself.
+	 */
+	constructor(scene, x, y, config) {
+		super(scene, x, y, { depth: 5, type: 'bomb', ...config });
+
+		this.fuse = config.fuse;
+		this.radius = config.radius;
+		this.damage = config.damage;
+		this.knockback = config.knockback;
+
+		// Swell and glow red while the fuse burns
+		this.setTint(0xff8888);
+		this.fuseTween = scene.tweens.add({
+			targets: this,
+			scale: this.scale * 1.25,
+			duration: 150,
+			yoyo: true,
+			repeat: -1,
+		});
+		this.fuseTimer = scene.gameClock.delay(this.fuse, () => {
+			this.emit('explode', this);
+			this.destroy();
+		});
+	}
+
+	destroy() {
+		// Stop the fuse if the bomb is removed early (e.g. changing maps)
+		if (this.scene) {
+			this.fuseTween.stop();
+			this.fuseTimer.cancel();
+		}
+
+		super.destroy();
+	}
+}
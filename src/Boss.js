@@ -0,0 +1,231 @@
+// Boss.js - An enemy with several phases that change its attack patterns
+import Enemy from './Enemy.js';
+import { MELEE_STATES } from './EnemyAI.js';
+import { createDeathExplosion } from './Effects.js';
+
+/**
+ * Boss behavior: always chases the target and picks an attack of the current
+ * phase whose range covers the distance to the target. The 'lunge' pattern is
+ * the melee lunge, the others fire projectiles (see Boss.fire).
+ */
+export const BOSS_STATES = {
+	chase: {
+		update(ai) {
+			if (ai.hasLineOfSight()) {
+				const attacks = ai.enemy.getAttacksInRange(
+					ai.distanceToTarget()
+				);
+				if (attacks.length > 0) {
+					ai.pattern = ai.enemy.scene.rng.pick(attacks).pattern;
+					return 'windup';
+				}
+			}
+
+			ai.moving = ai.enemy.moveTo(ai.target.x, ai.target.y);
+		},
+	},
+
+	attack: {
+		enter(ai) {
+			if (ai.pattern === 'lunge') {
+				MELEE_STATES.attack.enter(ai);
+			} else {
+				ai.enemy.fire(ai.pattern, ai.target);
+			}
+		},
+		update(ai) {
+			if (ai.pattern === 'lunge') {
+				return MELEE_STATES.attack.update(ai);
+			}
+			if (ai.elapsed() >= ai.config.attackTime) return 'recover';
+		},
+		exit(ai) {
+			MELEE_STATES.attack.exit(ai);
+		},
+	},
+};
+
+export default class Boss extends Enemy {
+	/**
+	 * Takes the same config as Enemy, plus:
+	 *          config.name: string (shown in the intro and on the health bar)
+	 *          config.projectile: object (passed to the Projectile constructor)
+	 *          config.phases: array of phases, ordered by decreasing health:
+	 *                    { health, speed, behavior, attacks: [{ pattern, range }] }
+	 *                    A phase starts once the health ratio drops to its `health`;
+	 *                    `behavior` is merged over the behavior settings.
+	 */
+	constructor(scene, x, y, config) {
+		if (!config.phases || config.phases.length === 0) {
+			throw new Error("Boss requires a 'phases' array in the config.");
+		}
+
+		super(scene, x, y, {
+			...config,
+			behavior: {
+				initialState: 'chase',
+				...config.behavior,
+				states: { ...BOSS_STATES, ...(config.behavior || {}).states },
+			},
+		});
+
+		this.isBoss = true;
+		this.displayName = config.name || this.enemyType;
+		this.projectileConfig = config.projectile || {};
+		this.phases = config.phases;
+
+		// The player can't shove the boss around
+		this.body.pushable = false;
+	}
+
+	// Every life starts in the first phase
+	spawn(x, y, options) {
+		super.spawn(x, y, options);
+
+		this.phaseIndex = -1;
+		this.enterPhase(0);
+	}
+
+	// Attacks of the current phase that can reach the given distance
+	getAttacksInRange(distance) {
+		return this.phase.attacks.filter((attack) => distance <= attack.range);
+	}
+
+	// Switch to a phase and apply its speed and behavior settings
+	enterPhase(index) {
+		this.phaseIndex = index;
+		this.phase = this.phases[index];
+
+		if (this.phase.speed) {
+			this.speed = this.phase.speed;
+		}
+		Object.assign(this.ai.config, this.phase.behavior);
+
+		// Roar when entering a later phase
+		if (index > 0) {
+			this.scene.cameras.main.shake(400, 0.01);
+			this.setTint(0xffffff);
+			this.scene.time.delayedCall(200, () => {
+				this.resetTint();
+			});
+		}
+	}
+
+	// Move to the next phase once health drops below its threshold
+	updatePhase() {
+		const ratio = this.getHealthRatio();
+		let index = this.phaseIndex;
+		while (
+			index + 1 < this.phases.length &&
+			ratio <= this.phases[index + 1].health
+		) {
+			index++;
+		}
+
+		if (index !== this.phaseIndex) {
+			this.enterPhase(index);
+		}
+	}
+
+	// Fire a projectile pattern at the target
+	fire(pattern, target) {
+		const aim = Phaser.Math.Angle.Between(
+			this.x,
+			this.y,
+			target.x,
+			target.y
+		);
+		this.faceTowards(target.x);
+
+		let angles;
+		switch (pattern) {
+			case 'burst':
+				// A ring of projectiles in every direction
+				angles = Array.from(
+					{ length: 8 },
+					(_, i) => aim + (i * Math.PI) / 4
+				);
+				break;
+			case 'spread':
+				// A fan of projectiles aimed at the target
+				angles = [-2, -1, 0, 1, 2].map(
+					(i) => aim + i * Phaser.Math.DegToRad(15)
+				);
+				break;
+			default:
+				throw new Error(`Unknown boss attack pattern '${pattern}'.`);
+		}
+
+		angles.forEach((angle) => {
+			this.scene.fireProjectile(
+				this.x + Math.cos(angle) * 12,
+				this.y + Math.sin(angle) * 12,
+				angle,
+				this.projectileConfig
+			);
+		});
+	}
+
+	restoreDamage(damageTaken) {
+		super.restoreDamage(damageTaken);
+		this.updatePhase();
+	}
+
+	takeDamage(hit) {
+		const result = super.takeDamage(hit);
+
+		this.scene.ui.updateBossBar(this.getHealthRatio());
+		if (!result.killed) {
+			this.updatePhase();
+		}
+
+		return result;
+	}
+
+	// Death sequence: a chain of explosions, then a flash and a final blast
+	die() {
+		this.body.enable = false;
+		this.anims.stop();
+		this.scene.ui.hideBossBar();
+
+		const scene = this.scene;
+		scene.cameras.main.shake(1500, 0.006);
+
+		// Flicker while exploding
+		scene.tweens.add({
+			targets: this,
+			alpha: 0.4,
+			duration: 100,
+			yoyo: true,
+			repeat: 6,
+		});
+
+		scene.time.addEvent({
+			delay: 200,
+			repeat: 6,
+			callback: () => {
+				createDeathExplosion(
+					scene,
+					this.x + scene.rng.between(-12, 12),
+					this.y + scene.rng.between(-12, 12)
+				);
+			},
+		});
+
+		scene.time.delayedCall(1500, () => {
+			scene.cameras.main.flash(300);
+			createDeathExplosion(scene, this.x, this.y).setScale(4);
+			scene.dropLoot('enemies', this.enemyType, this.x, this.y);
+
+			scene.tweens.add({
+				targets: this,
+				alpha: 0,
+				scale: this.scale * 1.5,
+				duration: 500,
+				onComplete: () => {
+					this.despawn();
+				},
+			});
+		});
+	}
+}
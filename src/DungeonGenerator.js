@@ -0,0 +1,447 @@
+// DungeonGenerator.js - Seeded room-and-corridor dungeon generator
+// The result is a Tiled JSON map (wall, ground, items and objects layers) using
+// the full_tilemap tileset, so it can be loaded like any hand-made map.
+import Random from './core/Random.js';
+
+// Tiled flag for tiles flipped both horizontally and vertically
+const FLIPPED = 0xc0000000;
+
+// Tiled stores GIDs as unsigned 32-bit numbers
+function flipped(gid) {
+	return (FLIPPED | gid) >>> 0;
+}
+
+// Tile GIDs of the full_tilemap tileset (firstgid 1)
+const TILES = {
+	floor: 12,
+	floorVariants: [21, 22, 23, 24],
+	wallFaces: [43, 43, 43, 44, 45, 52, 53],
+	wallTop: 66,
+	wallLeft: 50,
+	wallRight: 49,
+	wallBottom: flipped(57),
+	cornerTopLeft: 41,
+	cornerTopRight: 40,
+	cornerBottomLeft: flipped(40),
+	cornerBottomRight: flipped(41),
+	crates: [2, 14, 15], // Breakable items that block movement
+	banner: 4, // Breakable wall decoration
+};
+
+const SOLID = 0;
+const FLOOR = 1;
+
+/**
+ * Generate a dungeon map.
+ * @param {object} options - Generation options.
+ * @param {number} options.seed - Seed for the random generator; the same seed gives the same map.
+ * @param {object} options.template - A Tiled map whose tilesets (and tile properties) are copied.
+ * @param {number} [options.width=40] - Map width in tiles.
+ * @param {number} [options.height=30] - Map height in tiles.
+ * @param {number} [options.roomCount=8] - Maximum number of rooms.
+ * @param {number} [options.minRoomSize=4] - Minimum room width/height in tiles.
+ * @param {number} [options.maxRoomSize=8] - Maximum room width/height in tiles.
+ * @param {number} [options.tileSize=16] - Tile size in pixels.
+ * @returns {object} - Tiled JSON map data.
+ */
+export function generateDungeon(options) {
+	const config = {
+		width: options.width || 40,
+		height: options.height || 30,
+		roomCount: options.roomCount || 8,
+		minRoomSize: options.minRoomSize || 4,
+		maxRoomSize: options.maxRoomSize || 8,
+		tileSize: options.tileSize || 16,
+	};
+	const random = new Random(options.seed);
+
+	// Carve rooms and connect them with corridors
+	const cells = createGrid(config.width, config.height, SOLID);
+	const rooms = placeRooms(random, config);
+	rooms.forEach((room) => carveRect(cells, room));
+	connectRooms(random, cells, rooms);
+
+	// The leftmost room is where the player starts
+	const startRoom = rooms[0];
+	const start = roomCenter(startRoom);
+	removeUnreachableFloor(cells, start);
+
+	// Build the tile layers
+	const wall = buildWallLayer(random, cells, config);
+	const ground = buildGroundLayer(random, cells, config);
+	const items = placeItems(random, cells, rooms, start, config);
+
+	// Place the objects read by GameScene
+	const objects = [];
+	const addObject = (object) => {
+		objects.push({
+			id: objects.length + 1,
+			name: '',
+			rotation: 0,
+			visible: true,
+			width: 0,
+			height: 0,
+			...object,
+		});
+	};
+
+	addObject({
+		type: 'player_start',
+		point: true,
+		x: (start.x + 0.5) * config.tileSize,
+		y: (start.y + 0.5) * config.tileSize,
+	});
+
+	getTorchAnchors(cells, rooms).forEach((anchor) => {
+		addObject({
+			type: 'torch',
+			point: true,
+			x: (anchor.x + 0.5) * config.tileSize,
+			y: anchor.y * config.tileSize + 4,
+			properties: [
+				{ name: 'color', type: 'color', value: '#ffff6600' },
+				{ name: 'intensity', type: 'float', value: 0.4 },
+				{ name: 'radius', type: 'int', value: 60 },
+			],
+		});
+	});
+
+	nameSpawnRooms(rooms.slice(1), config).forEach(({ name, room }) => {
+		addObject({
+			type: 'spawn_zone',
+			name,
+			x: room.x * config.tileSize,
+			y: room.y * config.tileSize,
+			width: room.width * config.tileSize,
+			height: room.height * config.tileSize,
+		});
+	});
+
+	const tileLayer = (id, name, data) => ({
+		data,
+		height: config.height,
+		id,
+		name,
+		opacity: 1,
+		type: 'tilelayer',
+		visible: true,
+		width: config.width,
+		x: 0,
+		y: 0,
+	});
+
+	return {
+		compressionlevel: -1,
+		height: config.height,
+		infinite: false,
+		layers: [
+			tileLayer(1, 'wall', wall),
+			tileLayer(2, 'ground', ground),
+			tileLayer(3, 'items', items),
+			{
+				draworder: 'topdown',
+				id: 4,
+				name: 'objects',
+				objects,
+				opacity: 1,
+				type: 'objectgroup',
+				visible: true,
+				x: 0,
+				y: 0,
+			},
+		],
+		nextlayerid: 5,
+		nextobjectid: objects.length + 1,
+		orientation: 'orthogonal',
+		renderorder: 'right-down',
+		tileheight: config.tileSize,
+		tilesets: options.template.tilesets,
+		tilewidth: config.tileSize,
+		type: 'map',
+		version: '1.10',
+		width: config.width,
+	};
+}
+
+function createGrid(width, height, value) {
+	return Array.from({ length: height }, () => new Array(width).fill(value));
+}
+
+function isFloor(cells, x, y) {
+	return (
+		y >= 0 &&
+		y < cells.length &&
+		x >= 0 &&
+		x < cells[0].length &&
+		cells[y][x] === FLOOR
+	);
+}
+
+function carveRect(cells, rect) {
+	for (let y = rect.y; y < rect.y + rect.height; y++) {
+		for (let x = rect.x; x < rect.x + rect.width; x++) {
+			cells[y][x] = FLOOR;
+		}
+	}
+}
+
+function roomCenter(room) {
+	return {
+		x: room.x + Math.floor(room.width / 2),
+		y: room.y + Math.floor(room.height / 2),
+	};
+}
+
+// Place non-overlapping rooms, leaving space for walls around each of them
+function placeRooms(random, config) {
+	const rooms = [];
+	const padding = 3; // Bottom wall + top edge + wall face between rooms
+	const maxAttempts = config.roomCount * 20;
+
+	for (
+		let attempt = 0;
+		attempt < maxAttempts && rooms.length < config.roomCount;
+		attempt++
+	) {
+		const width = random.between(config.minRoomSize, config.maxRoomSize);
+		const height = random.between(config.minRoomSize, config.maxRoomSize);
+		const room = {
+			width,
+			height,
+			// Keep two rows above for the wall top and face, one for walls elsewhere
+			x: random.between(2, config.width - width - 2),
+			y: random.between(3, config.height - height - 2),
+		};
+
+		const overlaps = rooms.some(
+			(other) =>
+				room.x - padding < other.x + other.width &&
+				room.x + room.width + padding > other.x &&
+				room.y - padding < other.y + other.height &&
+				room.y + room.height + padding > other.y
+		);
+		if (!overlaps) {
+			rooms.push(room);
+		}
+	}
+
+	// Sort rooms from left to right so corridors don't cross the whole map
+	return rooms.sort((a, b) => a.x - b.x);
+}
+
+// Connect each room to the previous one with a two tile wide L-shaped corridor
+function connectRooms(random, cells, rooms) {
+	for (let i = 1; i < rooms.length; i++) {
+		const from = roomCenter(rooms[i - 1]);
+		const to = roomCenter(rooms[i]);
+
+		if (random.next() < 0.5) {
+			carveRect(cells, horizontalCorridor(from.x, to.x, from.y));
+			carveRect(cells, verticalCorridor(from.y, to.y, to.x));
+		} else {
+			carveRect(cells, verticalCorridor(from.y, to.y, from.x));
+			carveRect(cells, horizontalCorridor(from.x, to.x, to.y));
+		}
+	}
+}
+
+function horizontalCorridor(x1, x2, y) {
+	return {
+		x: Math.min(x1, x2),
+		y,
+		width: Math.abs(x2 - x1) + 2,
+		height: 2,
+	};
+}
+
+function verticalCorridor(y1, y2, x) {
+	return {
+		x,
+		y: Math.min(y1, y2),
+		width: 2,
+		height: Math.abs(y2 - y1) + 2,
+	};
+}
+
+// Flood fill the walkable cells reachable from a start cell
+function floodFill(cells, start, isBlocked = () => false) {
+	const reached = new Set();
+	const queue = [start];
+	reached.add(`${start.x},${start.y}`);
+
+	while (queue.length > 0) {
+		const { x, y } = queue.shift();
+		const neighbours = [
+			{ x: x + 1, y },
+			{ x: x - 1, y },
+			{ x, y: y + 1 },
+			{ x, y: y - 1 },
+		];
+
+		for (const next of neighbours) {
+			const key = `${next.x},${next.y}`;
+			if (reached.has(key)) continue;
+			if (!isFloor(cells, next.x, next.y) || isBlocked(next.x, next.y))
+				continue;
+
+			reached.add(key);
+			queue.push(next);
+		}
+	}
+
+	return reached;
+}
+
+// Turn floor that cannot be reached from the start back into solid rock
+function removeUnreachableFloor(cells, start) {
+	const reached = floodFill(cells, start);
+
+	cells.forEach((row, y) => {
+		row.forEach((cell, x) => {
+			if (cell === FLOOR && !reached.has(`${x},${y}`)) {
+				cells[y][x] = SOLID;
+			}
+		});
+	});
+}
+
+// Choose a wall tile for every solid cell that borders the floor
+function buildWallLayer(random, cells, config) {
+	const data = new Array(config.width * config.height).fill(0);
+	const isFace = (x, y) => !isFloor(cells, x, y) && isFloor(cells, x, y + 1);
+
+	for (let y = 0; y < config.height; y++) {
+		for (let x = 0; x < config.width; x++) {
+			if (isFloor(cells, x, y)) continue;
+
+			let tile = 0;
+			if (isFloor(cells, x, y + 1)) {
+				tile = random.pick(TILES.wallFaces);
+			} else if (isFace(x, y + 1)) {
+				tile = TILES.wallTop;
+			} else if (isFloor(cells, x, y - 1)) {
+				tile = TILES.wallBottom;
+			} else if (isFloor(cells, x + 1, y) || isFace(x + 1, y)) {
+				tile = TILES.wallLeft;
+			} else if (isFloor(cells, x - 1, y) || isFace(x - 1, y)) {
+				tile = TILES.wallRight;
+			} else if (isFace(x + 1, y + 1)) {
+				tile = TILES.cornerTopLeft;
+			} else if (isFace(x - 1, y + 1)) {
+				tile = TILES.cornerTopRight;
+			} else if (isFloor(cells, x + 1, y - 1)) {
+				tile = TILES.cornerBottomLeft;
+			} else if (isFloor(cells, x - 1, y - 1)) {
+				tile = TILES.cornerBottomRight;
+			}
+
+			data[y * config.width + x] = tile;
+		}
+	}
+
+	return data;
+}
+
+function buildGroundLayer(random, cells, config) {
+	const data = new Array(config.width * config.height).fill(0);
+
+	cells.forEach((row, y) => {
+		row.forEach((cell, x) => {
+			if (cell !== FLOOR) return;
+
+			data[y * config.width + x] =
+				random.next() < 0.08
+					? random.pick(TILES.floorVariants)
+					: TILES.floor;
+		});
+	});
+
+	return data;
+}
+
+// Place breakable crates inside rooms and banners on the walls.
+// A crate is only kept if every other floor tile can still be reached.
+function placeItems(random, cells, rooms, start, config) {
+	const data = new Array(config.width * config.height).fill(0);
+	const blocked = new Set();
+	const floorCount = cells.flat().filter((cell) => cell === FLOOR).length;
+
+	rooms.slice(1).forEach((room) => {
+		const crateCount = random.between(1, 3);
+
+		for (let i = 0; i < crateCount; i++) {
+			const x = random.between(room.x, room.x + room.width - 1);
+			const y = random.between(room.y, room.y + room.height - 1);
+			const key = `${x},${y}`;
+			if (blocked.has(key) || !isFloor(cells, x, y)) continue;
+
+			blocked.add(key);
+			const reached = floodFill(cells, start, (cx, cy) =>
+				blocked.has(`${cx},${cy}`)
+			);
+			if (reached.size !== floorCount - blocked.size) {
+				blocked.delete(key);
+				continue;
+			}
+
+			data[y * config.width + x] = random.pick(TILES.crates);
+		}
+	});
+
+	// Hang a few banners on the wall faces
+	cells.forEach((row, y) => {
+		row.forEach((cell, x) => {
+			if (
+				cell !== FLOOR &&
+				isFloor(cells, x, y + 1) &&
+				random.next() < 0.1
+			) {
+				data[y * config.width + x] = TILES.banner;
+			}
+		});
+	});
+
+	return data;
+}
+
+// Torches go on the wall face above each room, a few tiles apart
+function getTorchAnchors(cells, rooms) {
+	const anchors = [];
+
+	rooms.forEach((room) => {
+		const y = room.y - 1;
+		for (let x = room.x + 1; x < room.x + room.width - 1; x += 4) {
+			if (!isFloor(cells, x, y) && isFloor(cells, x, y + 1)) {
+				anchors.push({ x, y });
+			}
+		}
+	});
+
+	return anchors;
+}
+
+// Name spawn rooms so wave scripts can refer to them: the rooms furthest
+// north, south, east and west get those names, the rest are numbered
+function nameSpawnRooms(rooms, config) {
+	const named = rooms.map((room, i) => ({ name: `room_${i + 1}`, room }));
+	const directions = {
+		north: (room) => -roomCenter(room).y,
+		south: (room) => roomCenter(room).y,
+		east: (room) => roomCenter(room).x,
+		west: (room) => config.width - roomCenter(room).x,
+	};
+
+	Object.entries(directions).forEach(([name, score]) => {
+		const candidates = named.filter((entry) =>
+			entry.name.startsWith('room_')
+		);
+		if (candidates.length === 0) return;
+
+		const best = candidates.reduce((a, b) =>
+			score(b.room) > score(a.room) ? b : a
+		);
+		best.name = name;
+	});
+
+	return named;
+}
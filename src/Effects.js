@@ -68,53 +68,84 @@ export function createEffectAnimations(scene) {
 	});
 }
 
+// Sprites of finished effects, hidden and kept to be reused by the next
+// effects of the same scene, so busy fights don't create and destroy a sprite
+// for every hit
+const effectPools = new WeakMap();
+
+function getEffectPool(scene) {
+	let pool = effectPools.get(scene);
+	if (!pool) {
+		pool = [];
+		effectPools.set(scene, pool);
+
+		// The scene's sprites are destroyed when it shuts down (or restarts)
+		scene.events.once('shutdown', () => {
+			effectPools.delete(scene);
+		});
+	}
+
+	return pool;
+}
+
+// Play an effect animation once at a position with a pooled sprite, which
+// goes back to the pool when the animation completes (effect textures and
+// their animations share the same key)
+function playEffect(scene, x, y, animation) {
+	const pool = getEffectPool(scene);
+	const sprite = pool.pop() || scene.add.sprite(x, y, animation);
+
+	// Undo what the last effect changed, and draw on top like a new sprite
+	sprite.setTexture(animation);
+	sprite.setPosition(x, y);
+	sprite.setScale(1);
+	sprite.setAngle(0);
+	sprite.setFlipX(false);
+	sprite.setAlpha(1);
+	sprite.clearTint();
+	sprite.setDepth(0);
+	sprite.setActive(true);
+	sprite.setVisible(true);
+	scene.children.bringToTop(sprite);
+
+	sprite.play(animation);
+	sprite.once('animationcomplete', () => {
+		sprite.setActive(false);
+		sprite.setVisible(false);
+		pool.push(sprite);
+	});
+
+	return sprite;
+}
+
 // Create a death explosion at specified coordinates
 export function createDeathExplosion(scene, x, y) {
-	const explosion = scene.add.sprite(x, y, 'explosion');
+	const explosion = playEffect(scene, x, y, 'explosion');
 	explosion.setScale(2);
 
-	// Play animation
-	explosion.play('explosion');
-
-	// Remove the sprite when the animation completes
-	explosion.on('animationcomplete', () => {
-		explosion.destroy();
-	});
+	// Light up the surroundings for a moment (see Lighting.js)
+	if (scene.lighting) {
+		scene.lighting.flash(x, y, 40, 300);
+	}
 
 	return explosion;
 }
 
 // Create a slash effect at specified coordinates with rotation
 export function createSlashEffect(scene, x, y, angle, flipX = false) {
-	const slash = scene.add.sprite(x, y, 'slash');
+	const slash = playEffect(scene, x, y, 'slash');
 	slash.setScale(1.5);
 	slash.setAngle(angle);
 	slash.setFlipX(flipX);
 
-	// Play animation
-	slash.play('slash');
-
-	// Remove the sprite when the animation completes
-	slash.on('animationcomplete', () => {
-		slash.destroy();
-	});
-
 	return slash;
 }
 
 // Create a hit effect at specified coordinates
 export function createHitEffect(scene, x, y) {
-	const hit = scene.add.sprite(x, y, 'hit');
+	const hit = playEffect(scene, x, y, 'hit');
 	hit.setScale(1.5);
 
-	// Play animation
-	hit.play('hit');
-
-	// Remove the sprite when the animation completes
-	hit.on('animationcomplete', () => {
-		hit.destroy();
-	});
-
 	return hit;
 }
 
@@ -139,16 +170,218 @@ export function createItemExplosion(scene, tileX, tileY) {
 	const worldY = tileY * scene.map.tileHeight + scene.map.tileHeight / 2;
 
 	// Create explosion sprite
-	const explosion = scene.add.sprite(worldX, worldY, 'item-explosion');
+	const explosion = playEffect(scene, worldX, worldY, 'item-explosion');
 	explosion.setScale(1.2);
 
-	// Play animation
-	explosion.play('item-explosion');
+	return explosion;
+}
 
-	// Remove the sprite when the animation completes
-	explosion.on('animationcomplete', () => {
-		explosion.destroy();
+// Play a bomb explosion filling its blast radius
+export function createBombExplosion(scene, x, y, radius) {
+	// Flash of the blast area...
+	const flash = scene.add.circle(x, y, radius, 0xffaa33, 0.5);
+	flash.setDepth(49);
+	scene.tweens.add({
+		targets: flash,
+		alpha: 0,
+		scale: { from: 0.6, to: 1 },
+		duration: 250,
+		onComplete: () => {
+			flash.destroy();
+		},
 	});
 
+	// ...under the item explosion animation, scaled to the radius
+	const explosion = playEffect(scene, x, y, 'item-explosion');
+	explosion.setScale(radius / 16); // Frames are 32px wide
+	explosion.setDepth(50);
+
+	// The blast lights up well past its area
+	if (scene.lighting) {
+		scene.lighting.flash(x, y, radius * 2);
+	}
+
 	return explosion;
 }
+
+// Create the texture used by projectiles (a small glowing orb)
+export function createProjectileTexture(scene) {
+	if (scene.textures.exists('projectile')) return;
+
+	const graphics = scene.make.graphics({ x: 0, y: 0 }, false);
+	graphics.fillStyle(0xffffff, 0.5);
+	graphics.fillCircle(4, 4, 4);
+	graphics.fillStyle(0xffffff, 1);
+	graphics.fillCircle(4, 4, 2);
+	graphics.generateTexture('projectile', 8, 8);
+	graphics.destroy();
+}
+
+// Leave a fading copy of a sprite behind (dash trail)
+export function createAfterimage(scene, sprite) {
+	const afterimage = scene.add.image(
+		sprite.x,
+		sprite.y,
+		sprite.texture.key,
+		sprite.frame.name
+	);
+	afterimage.setScale(sprite.scaleX, sprite.scaleY);
+	afterimage.setFlipX(sprite.flipX);
+	afterimage.setDepth(sprite.depth - 1);
+	afterimage.setTint(0x88ccff);
+	afterimage.setAlpha(0.6);
+
+	scene.tweens.add({
+		targets: afterimage,
+		alpha: 0,
+		duration: 250,
+		onComplete: () => {
+			afterimage.destroy();
+		},
+	});
+
+	return afterimage;
+}
+
+// Create the textures of the weapons that have no image (see WeaponTypes.js),
+// drawn pointing up-right like the sword image
+export function createWeaponTextures(scene) {
+	if (!scene.textures.exists('weapon-spear')) {
+		const graphics = scene.make.graphics({ x: 0, y: 0 }, false);
+		// Wooden shaft...
+		graphics.lineStyle(2, 0x8b5a2b, 1);
+		graphics.lineBetween(2, 22, 18, 6);
+		// ...with a steel tip
+		graphics.fillStyle(0xd8d8e0, 1);
+		graphics.fillTriangle(23, 1, 15, 5, 19, 9);
+		graphics.generateTexture('weapon-spear', 24, 24);
+		graphics.destroy();
+	}
+
+	if (!scene.textures.exists('weapon-axe')) {
+		const graphics = scene.make.graphics({ x: 0, y: 0 }, false);
+		graphics.lineStyle(2, 0x8b5a2b, 1);
+		graphics.lineBetween(2, 14, 12, 4);
+		// Wide blade across the top of the handle
+		graphics.fillStyle(0xd8d8e0, 1);
+		graphics.fillTriangle(6, 2, 14, 10, 15, 1);
+		graphics.generateTexture('weapon-axe', 16, 16);
+		graphics.destroy();
+	}
+}
+
+// Create the textures of the items that have no image (see ItemTypes.js)
+// and of the lock on locked exits
+export function createItemTextures(scene) {
+	if (!scene.textures.exists('item-bomb')) {
+		const graphics = scene.make.graphics({ x: 0, y: 0 }, false);
+		// Round bomb with a shine...
+		graphics.fillStyle(0x222233, 1);
+		graphics.fillCircle(7, 9, 6);
+		graphics.fillStyle(0x666688, 1);
+		graphics.fillCircle(5, 7, 1.5);
+		// ...and a lit fuse
+		graphics.lineStyle(1, 0x8b5a2b, 1);
+		graphics.lineBetween(10, 4, 13, 1);
+		graphics.fillStyle(0xffcc33, 1);
+		graphics.fillCircle(13, 1, 1);
+		graphics.generateTexture('item-bomb', 16, 16);
+		graphics.destroy();
+	}
+
+	if (!scene.textures.exists('item-lock')) {
+		const graphics = scene.make.graphics({ x: 0, y: 0 }, false);
+		// Shackle over a golden body with a keyhole
+		graphics.lineStyle(2, 0xaaaaaa, 1);
+		graphics.strokeRoundedRect(4, 1, 8, 9, 3);
+		graphics.fillStyle(0xe0b030, 1);
+		graphics.fillRect(2, 7, 12, 8);
+		graphics.fillStyle(0x302010, 1);
+		graphics.fillRect(7, 9, 2, 4);
+		graphics.generateTexture('item-lock', 16, 16);
+		graphics.destroy();
+	}
+}
+
+// Particle of status effects (white, tinted by the emitter)
+export function createStatusTextures(scene) {
+	if (scene.textures.exists('status-particle')) return;
+
+	const graphics = scene.make.graphics({ x: 0, y: 0 }, false);
+	graphics.fillStyle(0xffffff, 1);
+	graphics.fillCircle(2, 2, 2);
+	graphics.generateTexture('status-particle', 4, 4);
+	graphics.destroy();
+}
+
+// Show a short message rising from a position (e.g. "Locked")
+export function createFloatingText(scene, x, y, text, color = '#ffffff') {
+	const floatingText = scene.add.text(x, y, text, {
+		fontFamily: 'Arial',
+		fontSize: '10px',
+		fontStyle: 'bold',
+		fill: color,
+		stroke: '#000000',
+		strokeThickness: 3,
+	});
+	floatingText.setOrigin(0.5);
+	floatingText.setDepth(50);
+
+	// Rise and fade out, then remove the text
+	scene.tweens.add({
+		targets: floatingText,
+		y: y - 16,
+		alpha: { from: 1, to: 0 },
+		duration: 900,
+		ease: 'Power1',
+		onComplete: () => {
+			floatingText.destroy();
+		},
+	});
+
+	return floatingText;
+}
+
+// Show the damage a hit dealt, rising above the target; critical hits are
+// bigger and yellow
+export function createDamageNumber(scene, x, y, amount, critical = false) {
+	const number = createFloatingText(
+		scene,
+		x,
+		y,
+		critical ? `${amount}!` : `${amount}`,
+		critical ? '#ffdd33' : '#ffffff'
+	);
+	if (critical) {
+		number.setFontSize(14);
+	}
+
+	return number;
+}
+
+// Show a "!" above an enemy that just noticed the player
+export function createNoticeEffect(scene, x, y) {
+	const notice = scene.add.text(x, y, '!', {
+		fontSize: '14px',
+		fontStyle: 'bold',
+		fill: '#ffdd00',
+		stroke: '#000000',
+		strokeThickness: 3,
+	});
+	notice.setOrigin(0.5);
+	notice.setDepth(50);
+
+	// Pop up and fade out, then remove the text
+	scene.tweens.add({
+		targets: notice,
+		y: y - 8,
+		alpha: { from: 1, to: 0 },
+		duration: 600,
+		ease: 'Power1',
+		onComplete: () => {
+			notice.destroy();
+		},
+	});
+
+	return notice;
+}
@@ -1,4 +1,13 @@
-import { createDeathExplosion } from './Effects.js';
+import { createDeathExplosion, createDamageNumber } from './Effects.js';
+import EnemyAI from './EnemyAI.js';
+import Health from './core/Health.js';
+import { applyDefense } from './core/Damage.js';
+import StatusEffects from './core/StatusEffects.js';
+import StatusVisuals from './StatusVisuals.js';
+import {
+	STATUS_EFFECT_TYPES,
+	getStatusEffectConfig,
+} from './StatusEffectTypes.js';
 export default class Enemy extends Phaser.Physics.Arcade.Sprite {
 	/**
 	 * @param {Phaser.Scene} scene - The scene this enemy belongs to.
@@ -8,6 +17,7 @@ export default class Enemy extends Phaser.Physics.Arcade.Sprite {
 	 *        Required:
 	 *          config.texture: string (the texture key)
 	 *        Optional:
+	 *          config.type: string (enemy type key, defaults to the texture key)
 	 *          config.frame: string (initial frame; no default is provided)
 	 *          config.scale: number (defaults to 1.2)
 	 *          config.bodySizeFactor: number (for width, defaults to 0.6)
@@ -16,8 +26,28 @@ export default class Enemy extends Phaser.Physics.Arcade.Sprite {
 	 *          config.maxVelocity: number (defaults to 150)
 	 *          config.speed: number (movement speed, defaults to 150)
 	 *          config.target: Phaser.GameObjects.Sprite (optional target for chasing)
+	 *          config.pathfinding: boolean (find a path around walls, defaults to true)
+	 *          config.contactDamage: boolean (hurt the player on any touch, not only
+	 *                    while attacking; defaults to false)
+	 *          config.strike: object (what hurting the player does: { damage (hearts,
+	 *                    halves allowed), knockback (speed), stun (ms the player
+	 *                    can't move), status (optional status effect type put on
+	 *                    the player, e.g. 'poison') }; defaults to
+	 *                    { damage: 1, knockback: 300, stun: 300 })
+	 *          config.behavior: object (behavior state machine settings, see EnemyAI.js)
+	 *          config.tint: number (base tint color, kept after hit flashes)
+	 *          config.maxHealth: number (hit points, a basic sword hit does 10;
+	 *                    defaults to 30)
+	 *          config.armor: number (taken off the damage of every hit, defaults to 0)
+	 *          config.resistances: object (fraction of the damage ignored by damage
+	 *                    type, e.g. { explosion: 0.5 }; see core/Damage.js)
+	 *          config.staggerable: boolean (knocked back and stunned by hits, defaults to true)
+	 *          config.xp: number (experience the player gains for the kill, defaults to 1)
 	 *          config.anims: object containing the animation keys:
 	 *                    { idleLeft, idleRight, runLeft, runRight }
+	 *
+	 * The enemy comes to life once spawn is called; dead enemies are kept to be
+	 * spawned again (see GameScene.spawnEnemy).
 	 */
 	constructor(scene, x, y, config) {
 		if (!config || !config.texture) {
@@ -32,7 +62,13 @@ export default class Enemy extends Phaser.Physics.Arcade.Sprite {
 		scene.add.existing(this);
 		scene.physics.add.existing(this);
 
+		// Settings every life of the enemy starts from (see spawn)
+		this.config = config;
+
 		this.setScale(config.scale || 1.2);
+
+		// Base tint to return to after flashes (undefined for no tint)
+		this.baseTint = config.tint;
 		this.setCollideWorldBounds(true);
 		this.body.setSize(
 			this.width * (config.bodySizeFactor || 0.6),
@@ -44,10 +80,13 @@ export default class Enemy extends Phaser.Physics.Arcade.Sprite {
 		this.body.setDrag(0.00005); // Slightly more drag than player for quicker stops
 		this.body.setMaxVelocity(config.maxVelocity || 150);
 
-		this.speed = config.speed || 150;
-		this.currentDirection = 'right';
+		this.enemyType = config.type || config.texture;
 		this.target = config.target || null;
 
+		// Find a path to the target around walls (see getNextWaypoint)
+		this.usePathfinding = config.pathfinding !== false;
+		this.pathRecalcInterval = 250; // ms between path searches
+
 		// Require an animation keys object in the config.
 		if (!config.anims) {
 			throw new Error(
@@ -56,72 +95,97 @@ export default class Enemy extends Phaser.Physics.Arcade.Sprite {
 		}
 		this.animKeys = config.anims;
 
-		// Add a stunned property to track when enemy is knocked back
-		this.stunned = false;
+		// Status effects (poison, slow, stun...) and their particles; see
+		// applyStatus and updateStatus
+		this.status = new StatusEffects(STATUS_EFFECT_TYPES);
+		this.statusVisuals = new StatusVisuals(this);
+
+		// Whether sword hits knock the enemy back and stun it
+		this.staggerable = config.staggerable !== false;
 
-		// Hit counter - enemy dies after 3 hits
-		this.hitsToKill = 3;
-		this.hitsTaken = 0;
+		// Armor and resistances reduce the damage of every hit (see takeDamage)
+		this.defense = {
+			armor: config.armor || 0,
+			resistances: config.resistances || {},
+		};
 
-		// Track last hit time to prevent multiple hits in quick succession
-		this.lastHitTime = 0;
-		this.hitCooldown = 500; // ms between valid hits
+		// Experience the player gains for the kill
+		this.xp = config.xp !== undefined ? config.xp : 1;
+
+		// Whether touching the player hurts it outside of attacks
+		this.contactDamage = config.contactDamage || false;
+
+		// How hard the enemy hits the player (see GameScene.playerHit)
+		this.strike = {
+			damage: 1,
+			knockback: 300,
+			stun: 300,
+			...config.strike,
+		};
+	}
+
+	/**
+	 * Bring the enemy to life at a position, unhurt: a new enemy, or a dead one
+	 * used again.
+	 * @param {number} x - The x position.
+	 * @param {number} y - The y position.
+	 * @param {object} [options]
+	 * @param {boolean} [options.aware=false] - Whether the enemy knows where the
+	 *        player is from the start (see EnemyAI aware).
+	 */
+	spawn(x, y, { aware = false } = {}) {
+		const config = this.config;
+
+		// Show the enemy and turn its body back on where it spawns
+		this.enableBody(true, x, y, true, true);
+		this.setAlpha(1);
+		this.setScale(config.scale || 1.2);
+		this.speed = config.speed || 150;
+		this.currentDirection = 'right';
+		this.setFlipX(false);
+
+		// Path to the target as a list of tiles, recomputed when needed
+		this.path = null;
+		this.pathTarget = null;
+		this.pathVersion = -1;
+		this.lastPathTime = -Infinity;
+
+		this.status.clear();
+		this.resetTint();
+
+		// Hit points, with a short cooldown between valid hits (the player's
+		// sword hits each enemy once per swing, so combo swings still land)
+		this.health = new Health({
+			max: config.maxHealth || 30,
+			invulnerableTime: 150,
+		});
 
 		// Flag to prevent issues during death animation
 		this.isDying = false;
+
+		// Behavior state machine (idle, patrol, chase, attack...), starting
+		// over from where the enemy spawned
+		this.ai = new EnemyAI(this, { ...config.behavior, aware });
+	}
+
+	// Take the dead enemy out of the game, kept to be spawned again
+	despawn() {
+		this.disableBody(true, true);
+		this.emit('despawn', this);
+	}
+
+	// Whether a status effect (e.g. the stun of a knockback) keeps the enemy
+	// from moving by itself
+	get stunned() {
+		return this.status.isStunned;
 	}
 
 	update() {
 		// If stunned or dying, don't update movement logic
 		if (this.stunned || this.isDying) return;
 
-		let moving = false;
-		let velocityX = 0;
-		let velocityY = 0;
-
-		if (this.target) {
-			// Calculate differences between target and enemy
-			const diffX = this.target.x - this.x;
-			const diffY = this.target.y - this.y;
-			const horizontalThreshold = 5; // Only adjust horizontal if difference is significant
-
-			// Horizontal movement: update only if difference is significant
-			if (Math.abs(diffX) > horizontalThreshold) {
-				if (diffX < 0) {
-					this.currentDirection = 'left';
-					this.setFlipX(true);
-					velocityX = -this.speed;
-				} else {
-					this.currentDirection = 'right';
-					this.setFlipX(false);
-					velocityX = this.speed;
-				}
-				moving = true;
-			}
-
-			// Vertical movement: always set based on diffY (does not change horizontal facing)
-			if (Math.abs(diffY) > 0) {
-				if (diffY < 0) {
-					velocityY = -this.speed;
-				} else {
-					velocityY = this.speed;
-				}
-				moving = true;
-			}
-
-			// Normalize diagonal movement to keep overall speed consistent
-			if (velocityX !== 0 && velocityY !== 0) {
-				velocityX *= Math.SQRT1_2;
-				velocityY *= Math.SQRT1_2;
-			}
-
-			// Only set velocity directly if actively moving
-			// This allows inertia to take effect when stopping
-			if (moving) {
-				this.setVelocity(velocityX, velocityY);
-			}
-			// When not actively chasing, don't set velocity to zero - let drag handle it
-		}
+		// Let the behavior state machine decide what to do
+		const moving = this.ai.update();
 
 		// Play the appropriate animation based on movement and current horizontal direction
 		if (
@@ -151,31 +215,271 @@ export default class Enemy extends Phaser.Physics.Arcade.Sprite {
 		}
 	}
 
-	// Method to handle taking damage and track hits
-	takeDamage(damage) {
+	// Move towards a world position, following a path around walls and items
+	moveTo(x, y) {
+		const waypoint = this.getNextWaypoint(x, y);
+		if (waypoint) {
+			return this.moveTowards(waypoint.x, waypoint.y, 2, 2);
+		}
+
+		return this.moveTowards(x, y, 5, 2);
+	}
+
+	// Stop moving immediately
+	stopMoving() {
+		this.setVelocity(0, 0);
+	}
+
+	// Turn to face a horizontal position
+	faceTowards(x) {
+		this.currentDirection = x < this.x ? 'left' : 'right';
+		this.setFlipX(this.currentDirection === 'left');
+	}
+
+	// Remove any flash tint and restore the tint of a status effect, or else
+	// the base tint
+	resetTint() {
+		const statusTint = this.status.tint;
+		if (statusTint !== null) {
+			this.setTint(statusTint);
+		} else if (this.baseTint !== undefined) {
+			this.setTint(this.baseTint);
+		} else {
+			this.clearTint();
+		}
+	}
+
+	// Push the enemy and keep it from moving by itself for a moment (heavy
+	// enemies such as bosses shrug off knockback)
+	knockback(velocityX, velocityY, stunTime = 500) {
+		if (!this.staggerable) return;
+
+		this.body.velocity.x = velocityX;
+		this.body.velocity.y = velocityY;
+
+		this.applyStatus('stun', { duration: stunTime });
+	}
+
+	/**
+	 * Put a status effect on the enemy (see StatusEffectTypes.js).
+	 * @param {string} type - The status effect type, e.g. 'poison'.
+	 * @param {object} [options] - { duration } in ms instead of the type's.
+	 */
+	applyStatus(type, options) {
+		if (this.isDying) return;
+
+		this.status.apply(type, this.scene.gameClock.now(), options);
+		if (this.status.isStunned) {
+			this.ai.onStunned();
+		}
+		this.onStatusChanged();
+	}
+
+	// Deal the damage ticks of the status effects and end the expired ones,
+	// call every frame (even while stunned)
+	updateStatus() {
+		if (this.isDying) return;
+
+		const { ticks, expired } = this.status.update(
+			this.scene.gameClock.now()
+		);
+
+		for (const tick of ticks) {
+			const config = getStatusEffectConfig(tick.type);
+			if (!config.damage) continue;
+
+			const result = this.takeDamage({
+				amount: config.damage * tick.stacks,
+				type: config.damageType,
+				overTime: true,
+			});
+			if (result.killed) return;
+		}
+
+		if (expired.length > 0) {
+			this.onStatusChanged();
+		}
+	}
+
+	// Show the active status effects
+	onStatusChanged() {
+		this.resetTint();
+		this.statusVisuals.update(this.status.activeTypes);
+	}
+
+	// Set the damage already taken (when continuing a saved run)
+	restoreDamage(damageTaken) {
+		this.health.setCurrent(Math.max(1, this.health.max - damageTaken));
+	}
+
+	// Fraction of health left (1 = unhurt, 0 = dead)
+	getHealthRatio() {
+		return this.health.ratio;
+	}
+
+	// Whether touching the player right now should hurt it
+	canHurtPlayer() {
+		return !this.isDying && (this.contactDamage || this.ai.isAttacking);
+	}
+
+	// Set the velocity towards a point, returns true if the enemy is moving.
+	// Each axis is only adjusted if the difference exceeds its threshold.
+	moveTowards(x, y, horizontalThreshold, verticalThreshold) {
+		let moving = false;
+		let velocityX = 0;
+		let velocityY = 0;
+
+		// Calculate differences between the point and enemy
+		const diffX = x - this.x;
+		const diffY = y - this.y;
+
+		// Slowed down by status effects
+		const speed = this.speed * this.status.speedMultiplier;
+
+		// Horizontal movement: update only if difference is significant
+		if (Math.abs(diffX) > horizontalThreshold) {
+			if (diffX < 0) {
+				this.currentDirection = 'left';
+				this.setFlipX(true);
+				velocityX = -speed;
+			} else {
+				this.currentDirection = 'right';
+				this.setFlipX(false);
+				velocityX = speed;
+			}
+			moving = true;
+		}
+
+		// Vertical movement (does not change horizontal facing)
+		if (Math.abs(diffY) > verticalThreshold) {
+			if (diffY < 0) {
+				velocityY = -speed;
+			} else {
+				velocityY = speed;
+			}
+			moving = true;
+		}
+
+		// Normalize diagonal movement to keep overall speed consistent
+		if (velocityX !== 0 && velocityY !== 0) {
+			velocityX *= Math.SQRT1_2;
+			velocityY *= Math.SQRT1_2;
+		}
+
+		// Only set velocity directly if actively moving
+		// This allows inertia to take effect when stopping
+		if (moving) {
+			this.setVelocity(velocityX, velocityY);
+		}
+		// When not actively chasing, don't set velocity to zero - let drag handle it
+
+		return moving;
+	}
+
+	// Get the world position of the next tile on the path to a destination.
+	// Returns null when the enemy should move there directly
+	// (destination is close, no path exists or pathfinding is disabled).
+	getNextWaypoint(destinationX, destinationY) {
+		const pathfinder = this.scene.pathfinder;
+		if (!pathfinder || !this.usePathfinding) return null;
+
+		const map = this.scene.map;
+		const currentTile = {
+			x: map.worldToTileX(this.x),
+			y: map.worldToTileY(this.y),
+		};
+		const targetTile = {
+			x: map.worldToTileX(destinationX),
+			y: map.worldToTileY(destinationY),
+		};
+
+		// Recompute when the destination moved to another tile or the grid changed
+		// (e.g. a crate was destroyed), at most once per interval
+		const targetMoved =
+			!this.pathTarget ||
+			this.pathTarget.x !== targetTile.x ||
+			this.pathTarget.y !== targetTile.y;
+		const now = this.scene.gameClock.now();
+		if (
+			(targetMoved || this.pathVersion !== pathfinder.version) &&
+			now - this.lastPathTime >= this.pathRecalcInterval
+		) {
+			this.path = pathfinder.findPath(currentTile, targetTile);
+			this.pathTarget = targetTile;
+			this.pathVersion = pathfinder.version;
+			this.lastPathTime = now;
+		}
+
+		if (!this.path) return null;
+
+		// Drop waypoints once the enemy is close to their center
+		while (this.path.length > 0) {
+			const tile = this.path[0];
+			const x = map.tileToWorldX(tile.x) + map.tileWidth / 2;
+			const y = map.tileToWorldY(tile.y) + map.tileHeight / 2;
+			if (Phaser.Math.Distance.Between(this.x, this.y, x, y) > 4) break;
+			this.path.shift();
+		}
+
+		// The destination is in this or the next tile, go there directly
+		if (this.path.length <= 1) return null;
+
+		const next = this.path[0];
+		return {
+			x: map.tileToWorldX(next.x) + map.tileWidth / 2,
+			y: map.tileToWorldY(next.y) + map.tileHeight / 2,
+		};
+	}
+
+	/**
+	 * Take a hit, reduced by the enemy's armor and resistances, and show the
+	 * damage dealt above it.
+	 * @param {object|number} hit - A hit { amount, type, critical } (see
+	 *        core/Damage.js), or an amount of physical damage. Hits with
+	 *        overTime (status effect ticks) ignore the hit cooldown.
+	 * @returns {object} - { applied, killed }: whether the hit was taken (not
+	 *          rejected by the hit cooldown) and whether it killed the enemy.
+	 */
+	takeDamage(hit) {
 		// If already dying, ignore further hits
-		if (this.isDying) return false;
+		if (this.isDying) return { applied: false, killed: false };
 
-		// Check for hit cooldown to prevent multiple hits in quick succession
-		const currentTime = new Date().getTime();
-		if (currentTime - this.lastHitTime < this.hitCooldown) {
-			return false; // Hit rejected due to cooldown
+		if (typeof hit === 'number') {
+			hit = { amount: hit, type: 'physical', critical: false };
 		}
+		const damage = applyDefense(hit, this.defense);
 
-		// Update last hit time
-		this.lastHitTime = currentTime;
+		// Hits during the cooldown are rejected
+		const result = hit.overTime
+			? this.health.drain(damage)
+			: this.health.damage(damage, this.scene.gameClock.now());
+		if (!result.applied) return result;
 
-		// Increase hit counter
-		this.hitsTaken++;
+		createDamageNumber(
+			this.scene,
+			this.x,
+			this.y - this.displayHeight / 2,
+			damage,
+			hit.critical
+		);
 
 		// Check if enemy should die
-		if (this.hitsTaken >= this.hitsToKill) {
+		if (result.killed) {
 			this.isDying = true;
+			this.status.clear();
+			this.statusVisuals.destroy();
+			this.scene.gainExperience(this.xp);
 			this.die();
-			return true; // Killed
+			return result; // Killed
 		}
 
-		return false; // Not killed yet
+		// React to the hit (notice the attacker, interrupt attacks); damage
+		// over time goes unnoticed
+		if (!hit.overTime) {
+			this.ai.onDamaged();
+		}
+
+		return result; // Not killed yet
 	}
 
 	// Method to handle death
@@ -190,6 +494,9 @@ export default class Enemy extends Phaser.Physics.Arcade.Sprite {
 		// Create explosion effect at enemy's position
 		createDeathExplosion(this.scene, enemyX, enemyY);
 
+		// Drop loot from this enemy type's loot table
+		this.scene.dropLoot('enemies', this.enemyType, enemyX, enemyY);
+
 		// Play death sequence - make enemy smaller and fade out
 		this.scene.tweens.add({
 			targets: this,
@@ -197,7 +504,7 @@ export default class Enemy extends Phaser.Physics.Arcade.Sprite {
 			scale: 0.5,
 			duration: 500,
 			onComplete: () => {
-				this.destroy();
+				this.despawn();
 			},
 		});
 	}
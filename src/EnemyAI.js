@@ -0,0 +1,310 @@
+// EnemyAI.js - Behavior state machine driving an Enemy
+import { createNoticeEffect } from './Effects.js';
+
+// Default behavior settings, overridden per enemy type by config.behavior
+const DEFAULT_BEHAVIOR = {
+	initialState: 'patrol',
+	sightRange: 150, // Distance at which the target is noticed (needs line of sight)
+	leashRange: 260, // Chasing stops once the target is further away than this
+	attackRange: 24, // Distance at which the attack windup starts
+	noticeTime: 400, // ms the enemy stands still after noticing the target
+	windupTime: 450, // ms of telegraph before attacking
+	attackTime: 250, // ms the lunge lasts
+	lungeSpeed: 160, // Speed of the lunge
+	recoverTime: 700, // ms the enemy is left open after attacking
+	patrolRadius: 64, // Patrol points are picked this far from the spawn point
+	idleTime: 1500, // Average ms spent idle between patrols
+	fleeHealth: 0, // Flee once below this fraction of health (0 = never)
+	fleeTime: 2000, // ms spent fleeing before turning back
+	interruptible: true, // Whether getting hit cancels a windup
+	aware: false, // Always knows where the target is: starts chasing it and never gives up
+};
+
+/**
+ * Melee behavior: idle and patrol until the target is seen, then chase it,
+ * wind up, lunge and recover. Optionally flee once when badly hurt.
+ * Each state can define enter(ai), update(ai) and exit(ai); update returns the
+ * name of the next state, or nothing to stay in the current one.
+ */
+export const MELEE_STATES = {
+	idle: {
+		enter(ai) {
+			ai.enemy.stopMoving();
+			ai.duration = ai.randomDuration(ai.config.idleTime);
+		},
+		update(ai) {
+			if (ai.canSeeTarget()) return 'notice';
+			if (ai.elapsed() >= ai.duration) return 'patrol';
+		},
+	},
+
+	patrol: {
+		enter(ai) {
+			ai.destination = ai.pickPatrolPoint();
+		},
+		update(ai) {
+			if (ai.canSeeTarget()) return 'notice';
+
+			const { x, y } = ai.destination;
+			const arrived =
+				Phaser.Math.Distance.Between(ai.enemy.x, ai.enemy.y, x, y) < 6;
+
+			// Give up on unreachable patrol points after a while
+			if (arrived || ai.elapsed() > 5000) return 'idle';
+
+			ai.moving = ai.enemy.moveTo(x, y);
+		},
+	},
+
+	notice: {
+		enter(ai) {
+			ai.enemy.stopMoving();
+			ai.enemy.faceTowards(ai.target.x);
+			createNoticeEffect(ai.enemy.scene, ai.enemy.x, ai.enemy.y - 16);
+		},
+		update(ai) {
+			if (ai.elapsed() >= ai.config.noticeTime) return 'chase';
+		},
+	},
+
+	chase: {
+		update(ai) {
+			if (ai.shouldFlee()) return 'flee';
+
+			if (ai.isBeyondLeash()) return 'patrol';
+			if (
+				ai.distanceToTarget() <= ai.config.attackRange &&
+				ai.hasLineOfSight()
+			) {
+				return 'windup';
+			}
+
+			ai.moving = ai.enemy.moveTo(ai.target.x, ai.target.y);
+		},
+	},
+
+	windup: {
+		enter(ai) {
+			// Telegraph the attack
+			ai.enemy.stopMoving();
+			ai.enemy.setTint(0xffdd00);
+		},
+		update(ai) {
+			ai.enemy.faceTowards(ai.target.x);
+			if (ai.elapsed() >= ai.config.windupTime) return 'attack';
+		},
+		exit(ai) {
+			ai.enemy.resetTint();
+		},
+	},
+
+	attack: {
+		enter(ai) {
+			// Lunge towards where the target is now
+			const angle = Phaser.Math.Angle.Between(
+				ai.enemy.x,
+				ai.enemy.y,
+				ai.target.x,
+				ai.target.y
+			);
+			ai.lungeVelocity = {
+				x: Math.cos(angle) * ai.config.lungeSpeed,
+				y: Math.sin(angle) * ai.config.lungeSpeed,
+			};
+			ai.isAttacking = true;
+		},
+		update(ai) {
+			// Keep the lunge going against drag
+			ai.enemy.setVelocity(ai.lungeVelocity.x, ai.lungeVelocity.y);
+			ai.moving = true;
+			if (ai.elapsed() >= ai.config.attackTime) return 'recover';
+		},
+		exit(ai) {
+			ai.isAttacking = false;
+		},
+	},
+
+	recover: {
+		update(ai) {
+			if (ai.elapsed() >= ai.config.recoverTime) {
+				return ai.shouldFlee() ? 'flee' : 'chase';
+			}
+		},
+	},
+
+	flee: {
+		enter(ai) {
+			ai.hasFled = true;
+		},
+		update(ai) {
+			if (ai.elapsed() >= ai.config.fleeTime) return 'chase';
+
+			// Run straight away from the target
+			const angle = Phaser.Math.Angle.Between(
+				ai.target.x,
+				ai.target.y,
+				ai.enemy.x,
+				ai.enemy.y
+			);
+			ai.moving = ai.enemy.moveTowards(
+				ai.enemy.x + Math.cos(angle) * 32,
+				ai.enemy.y + Math.sin(angle) * 32,
+				2,
+				2
+			);
+		},
+	},
+};
+
+export default class EnemyAI {
+	/**
+	 * @param {Enemy} enemy - The enemy controlled by this state machine.
+	 * @param {object} [config] - Behavior settings (see DEFAULT_BEHAVIOR).
+	 * @param {object} [config.states] - State definitions, merged over MELEE_STATES.
+	 */
+	constructor(enemy, config = {}) {
+		this.enemy = enemy;
+		this.config = { ...DEFAULT_BEHAVIOR, ...config };
+		this.states = { ...MELEE_STATES, ...(config.states || {}) };
+
+		// Where the enemy spawned; patrols stay around this point
+		this.home = { x: enemy.x, y: enemy.y };
+
+		this.state = null;
+		this.stateStartTime = 0;
+		this.moving = false;
+		this.isAttacking = false;
+		this.hasFled = false;
+
+		this.setState(this.config.aware ? 'chase' : this.config.initialState);
+	}
+
+	get target() {
+		return this.enemy.target;
+	}
+
+	setState(name) {
+		if (!this.states[name]) {
+			throw new Error(`Unknown enemy state '${name}'.`);
+		}
+
+		const current = this.states[this.state];
+		if (current && current.exit) current.exit(this);
+
+		this.state = name;
+		this.stateStartTime = this.enemy.scene.gameClock.now();
+
+		const next = this.states[name];
+		if (next.enter) next.enter(this);
+	}
+
+	// Run the current state, returns true if the enemy is moving on its own
+	update() {
+		this.moving = false;
+
+		// Without a target there is nothing to notice or chase
+		if (!this.target && !['idle', 'patrol'].includes(this.state)) {
+			this.setState('idle');
+		}
+
+		const next = this.states[this.state].update(this);
+		if (next && next !== this.state) {
+			this.setState(next);
+		}
+
+		return this.moving;
+	}
+
+	// Getting hit makes the enemy aware of the target and interrupts windups
+	onDamaged() {
+		if (!this.target) return;
+
+		if (['idle', 'patrol', 'notice'].includes(this.state)) {
+			this.setState('chase');
+		} else if (this.state === 'windup' && this.config.interruptible) {
+			this.setState('recover');
+		}
+	}
+
+	// Being stunned cuts a windup or an attack short (the AI doesn't run
+	// while stunned, so a lunge would otherwise keep hurting on contact)
+	onStunned() {
+		if (['windup', 'attack'].includes(this.state)) {
+			this.setState('recover');
+		}
+	}
+
+	// Time spent in the current state (ms)
+	elapsed() {
+		return this.enemy.scene.gameClock.now() - this.stateStartTime;
+	}
+
+	// Randomize a duration between 50% and 150% of its average
+	randomDuration(average) {
+		return this.enemy.scene.rng.between(average * 0.5, average * 1.5);
+	}
+
+	distanceToTarget() {
+		return Phaser.Math.Distance.Between(
+			this.enemy.x,
+			this.enemy.y,
+			this.target.x,
+			this.target.y
+		);
+	}
+
+	hasLineOfSight() {
+		return this.enemy.scene.hasLineOfSight(
+			this.enemy.x,
+			this.enemy.y,
+			this.target.x,
+			this.target.y
+		);
+	}
+
+	canSeeTarget() {
+		if (!this.target) return false;
+		if (this.config.aware) return true;
+
+		return (
+			this.distanceToTarget() <= this.config.sightRange &&
+			this.hasLineOfSight()
+		);
+	}
+
+	// Whether the target got far enough away to give up chasing it
+	isBeyondLeash() {
+		return (
+			!this.config.aware &&
+			this.distanceToTarget() > this.config.leashRange
+		);
+	}
+
+	shouldFlee() {
+		return (
+			!this.hasFled &&
+			this.enemy.getHealthRatio() < this.config.fleeHealth
+		);
+	}
+
+	// Pick a walkable point near home to patrol to
+	pickPatrolPoint() {
+		const { scene } = this.enemy;
+		const radius = this.config.patrolRadius;
+
+		for (let attempt = 0; attempt < 10; attempt++) {
+			const x =
+				this.home.x + this.enemy.scene.rng.between(-radius, radius);
+			const y =
+				this.home.y + this.enemy.scene.rng.between(-radius, radius);
+			const tileX = scene.map.worldToTileX(x);
+			const tileY = scene.map.worldToTileY(y);
+
+			if (scene.pathfinder && !scene.pathfinder.isBlocked(tileX, tileY)) {
+				return { x, y };
+			}
+		}
+
+		return { ...this.home };
+	}
+}
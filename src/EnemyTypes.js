@@ -0,0 +1,157 @@
+// EnemyTypes.js - Configuration for every enemy type that waves can spawn
+import RangedEnemy from './RangedEnemy.js';
+import Boss from './Boss.js';
+
+export const ENEMY_TYPES = {
+	goblin: {
+		texture: 'goblin',
+		frame: 'goblin_idle_anim_f0.png',
+		scale: 1.2,
+		bodySizeFactor: 0.7,
+		bodySizeFactorY: 0.9,
+		drag: 0.0005,
+		maxVelocity: 150,
+		speed: 50,
+		maxHealth: 30,
+		xp: 3,
+		// Goblins hurt the player with a lunge after a short windup
+		contactDamage: false,
+		strike: { damage: 1, knockback: 300, stun: 300 },
+		behavior: {
+			sightRange: 150,
+			attackRange: 28,
+			windupTime: 450,
+			attackTime: 250,
+			lungeSpeed: 150,
+			recoverTime: 700,
+			fleeHealth: 0.4,
+		},
+		anims: {
+			idleLeft: 'goblin-idle-left',
+			idleRight: 'goblin-idle-right',
+			runLeft: 'goblin-run-left',
+			runRight: 'goblin-run-right',
+		},
+	},
+
+	// Keeps its distance and throws magic bolts that the sword can reflect
+	goblin_shaman: {
+		enemyClass: RangedEnemy,
+		texture: 'goblin',
+		frame: 'goblin_idle_anim_f0.png',
+		tint: 0x88aaff,
+		scale: 1.2,
+		bodySizeFactor: 0.7,
+		bodySizeFactorY: 0.9,
+		drag: 0.0005,
+		maxVelocity: 150,
+		speed: 40,
+		maxHealth: 20,
+		xp: 5,
+		contactDamage: false,
+		strike: { damage: 0.5, knockback: 200, stun: 200 },
+		behavior: {
+			sightRange: 170,
+			attackRange: 140,
+			preferredRange: 90,
+			windupTime: 500,
+			attackTime: 100,
+			recoverTime: 1200,
+		},
+		projectile: {
+			speed: 110,
+			damage: 10,
+			playerDamage: 0.5,
+			tint: 0x66ff99,
+			lifespan: 3000,
+		},
+		anims: {
+			idleLeft: 'goblin-idle-left',
+			idleRight: 'goblin-idle-right',
+			runLeft: 'goblin-run-left',
+			runRight: 'goblin-run-right',
+		},
+	},
+
+	// Final boss: lunges at first, then adds projectile patterns as it weakens
+	goblin_king: {
+		enemyClass: Boss,
+		name: 'Goblin King',
+		texture: 'goblin',
+		frame: 'goblin_idle_anim_f0.png',
+		tint: 0xff9966,
+		scale: 1.8,
+		bodySizeFactor: 0.5,
+		bodySizeFactorY: 0.6,
+		drag: 0.0005,
+		maxVelocity: 160,
+		speed: 45,
+		maxHealth: 120,
+		armor: 2,
+		resistances: { explosion: 0.5 },
+		xp: 25,
+		staggerable: false,
+		contactDamage: true,
+		strike: { damage: 2, knockback: 450, stun: 450 },
+		behavior: {
+			windupTime: 600,
+			attackTime: 300,
+			lungeSpeed: 160,
+			recoverTime: 900,
+			interruptible: false,
+		},
+		projectile: {
+			speed: 100,
+			damage: 10,
+			playerDamage: 1,
+			tint: 0xff6633,
+			lifespan: 3000,
+			scale: 1.5,
+		},
+		phases: [
+			{
+				health: 1,
+				attacks: [{ pattern: 'lunge', range: 36 }],
+			},
+			{
+				health: 0.66,
+				speed: 55,
+				behavior: { windupTime: 500, recoverTime: 750 },
+				attacks: [
+					{ pattern: 'lunge', range: 36 },
+					{ pattern: 'burst', range: 120 },
+				],
+			},
+			{
+				health: 0.33,
+				speed: 65,
+				behavior: { windupTime: 400, recoverTime: 550 },
+				attacks: [
+					{ pattern: 'lunge', range: 36 },
+					{ pattern: 'burst', range: 120 },
+					{ pattern: 'spread', range: 160 },
+				],
+			},
+		],
+		anims: {
+			idleLeft: 'goblin-idle-left',
+			idleRight: 'goblin-idle-right',
+			runLeft: 'goblin-run-left',
+			runRight: 'goblin-run-right',
+		},
+	},
+};
+
+/**
+ * Get a copy of the configuration for an enemy type.
+ * @param {string} type - The enemy type key (e.g. 'goblin').
+ * @returns {object} - A config object that can be passed to the Enemy constructor.
+ */
+export function getEnemyConfig(type) {
+	const config = ENEMY_TYPES[type];
+	if (!config) {
+		throw new Error(`Unknown enemy type '${type}'.`);
+	}
+
+	return { ...config, type };
+}
@@ -1,7 +1,44 @@
 import Player from './Player.js';
 import Enemy from './Enemy.js';
+import Projectile from './Projectile.js';
+import Pickup from './Pickup.js';
+import Bomb from './Bomb.js';
+import LockedExit from './LockedExit.js';
 import UI from './UI.js';
+import InputManager from './InputManager.js';
+import TouchControls from './TouchControls.js';
 import SpriteItem from './SpriteItem.js';
+import Lighting from './Lighting.js';
+import { getEnemyConfig } from './EnemyTypes.js';
+import { getPickupConfig } from './PickupTypes.js';
+import { ITEM_SLOTS, getItemConfig, getItemLimits } from './ItemTypes.js';
+import {
+	getUpgradeConfig,
+	getUpgradeBonus,
+	rollUpgradeChoices,
+} from './UpgradeTypes.js';
+import { rollLoot, getLootTable } from './Loot.js';
+import {
+	saveRun,
+	loadRun,
+	clearRun,
+	saveReplay,
+	loadReplay,
+} from './SaveGame.js';
+import Clock from './core/Clock.js';
+import Random from './core/Random.js';
+import InputRecorder, { InputReplay } from './core/InputRecorder.js';
+import Health from './core/Health.js';
+import Inventory from './core/Inventory.js';
+import Experience from './core/Experience.js';
+import WaveDirector from './core/WaveDirector.js';
+import { generateDungeon } from './DungeonGenerator.js';
+import Pathfinder from './Pathfinder.js';
+import {
+	getMapObjects,
+	getObjectProperties,
+	getObjectBounds,
+} from './MapObjects.js';
 import {
 	createKnightAnimations,
 	createGoblinAnimations,
@@ -16,30 +53,147 @@ import {
 	loadItemEffects,
 	createItemEffectAnimations,
 	createItemExplosion,
+	createProjectileTexture,
+	createWeaponTextures,
+	createItemTextures,
+	createStatusTextures,
+	createBombExplosion,
+	createFloatingText,
 } from './Effects.js';
 import Debug from '../utils/Debug.js';
 
+// Tilemap key used for procedurally generated dungeons
+const GENERATED_MAP_KEY = 'generated';
+
 export default class GameScene extends Phaser.Scene {
 	constructor() {
 		super({ key: 'GameScene' });
 
+		// Player health at the start of a run (upgrades add hearts)
+		this.playerMaxHealth = 5;
+
+		// Invincibility time after taking damage (in milliseconds, before upgrades)
+		this.invincibilityTime = 1000;
+	}
+
+	// Called on every (re)start; data is passed by exits when changing maps
+	init(data) {
+		// A new run can start on a generated dungeon with ?map=generated&seed=123
+		const params = new URLSearchParams(window.location.search);
+
+		// Saved run being continued, restores the player position and enemies
+		this.savedRun = data.save || null;
+
+		// Map to load and the entrance object to place the player at
+		this.mapKey =
+			data.mapKey ||
+			(this.savedRun && this.savedRun.mapKey) ||
+			params.get('map') ||
+			'map';
+		this.entranceName = data.entrance || null;
+
+		// Run state carried over from the previous map or loaded from a save
+		// (null on a new run)
+		this.carriedState = data.run || this.savedRun;
+
+		// Seed of the run (dungeon layout, spawns, loot...), kept for the whole
+		// run; ?seed=0 is a seed like any other
+		const seedParam = params.get('seed');
+		const urlSeed = seedParam ? Number(seedParam) : NaN;
+		if (seedParam && Number.isNaN(urlSeed)) {
+			console.warn(`Ignoring invalid seed '${seedParam}'.`);
+		}
+		this.seed = this.carriedState
+			? this.carriedState.seed
+			: Number.isNaN(urlSeed)
+			? Random.randomSeed()
+			: urlSeed;
+
 		// Map to track breakable items and their hit counts
 		this.breakableItems = new Map();
 
-		// Player health
-		this.playerMaxHealth = 5;
+		// Tile keys of destroyed breakable items, per map key
+		this.destroyedItems = this.carriedState
+			? this.carriedState.destroyedItems
+			: {};
+
+		// Names of the locked exits opened with a key, per map key
+		this.unlockedExits = this.carriedState
+			? this.carriedState.unlockedExits
+			: {};
+
+		// Game time, only advanced while the game is running; drives waves,
+		// invulnerability, enemy AI, power-ups, bomb fuses and other gameplay
+		// timers (Phaser's scene.time is left to visual effects)
+		this.gameClock = new Clock();
+
+		// Experience and the upgrades taken (times each upgrade was taken),
+		// restored from the carried state
+		this.experience = new Experience(
+			this.carriedState ? this.carriedState.experience : undefined
+		);
+		this.upgrades = this.carriedState
+			? { ...this.carriedState.upgrades }
+			: {};
+
+		// Player health, restored from the carried state (see applyUpgrades
+		// for the upgraded max and invulnerability)
+		const maxHealth =
+			this.playerMaxHealth + getUpgradeBonus(this.upgrades, 'maxHealth');
+		this.playerHealth = new Health({
+			max: maxHealth,
+			current: this.carriedState ? this.carriedState.health : maxHealth,
+			invulnerableTime: this.invincibilityTime,
+		});
 
-		// Invincibility time after taking damage (in milliseconds)
-		this.invincibilityTime = 1000;
-		this.playerInvincible = false;
+		// Coins collected during the run
+		this.coins = this.carriedState ? this.carriedState.coins || 0 : 0;
+
+		// Items and weapons carried, restored from the carried state
+		this.inventory = new Inventory({
+			limits: getItemLimits(),
+			...(this.carriedState ? this.carriedState.inventory : {}),
+		});
+
+		// Active power-ups: their expiry timers by effect name
+		this.powerUpTimers = {};
+		this.playerShielded = false;
+
+		this.isTransitioning = false;
+		this.bossIntroPlaying = false;
+		this.continuePromptOpen = false;
+
+		// Upgrades offered after leveling up (see offerUpgrades), the card
+		// highlighted and the card clicked since the last frame
+		this.upgradeChoices = null;
+		this.upgradeHighlight = 0;
+		this.clickedUpgrade = null;
 
 		// Array to store torch objects
 		this.torches = [];
+
+		// Items the player can use with the interact action (see interact)
+		this.interactables = [];
 	}
 
 	preload() {
 		this.load.image('tiles', 'assets/tiles/full_tilemap_extruded.png');
+		// The same tiles as single frames, used by pickups
+		this.load.spritesheet(
+			'tile-items',
+			'assets/tiles/full_tilemap_extruded.png',
+			{ frameWidth: 16, frameHeight: 16, margin: 1, spacing: 2 }
+		);
 		this.load.tilemapTiledJSON('map', 'assets/tiles/dungeun.json');
+		this.load.tilemapTiledJSON('cellar', 'assets/tiles/cellar.json');
+
+		// Input log to replay with ?replay=path/to/log.json
+		const replayUrl = new URLSearchParams(window.location.search).get(
+			'replay'
+		);
+		if (replayUrl) {
+			this.load.json('replay-log', replayUrl);
+		}
 		this.load.atlas(
 			'knight',
 			'assets/character/knight.png',
@@ -51,6 +205,9 @@ export default class GameScene extends Phaser.Scene {
 			'assets/enemies/goblin/goblin.json'
 		);
 		this.load.image('sword', 'assets/character/weapon_sword_1.png');
+		[1, 2, 3].forEach((i) => {
+			this.load.image(`crosshair-${i}`, `assets/ui/crosshair_${i}.png`);
+		});
 
 		// Load UI assets
 		this.load.image('pause-button', 'assets/ui/pause_button.png');
@@ -59,6 +216,8 @@ export default class GameScene extends Phaser.Scene {
 			'assets/ui/pause_button_press.png'
 		);
 		this.load.image('heart', 'assets/ui/heart.png');
+		this.load.image('menu-button', 'assets/ui/menu_button.png');
+		this.load.image('menu-button-press', 'assets/ui/menu_button_press.png');
 
 		// Load torch sprite atlas
 		this.load.atlas(
@@ -67,14 +226,34 @@ export default class GameScene extends Phaser.Scene {
 			'assets/sprite-items/torch.json'
 		);
 
+		// Load wave definitions and loot tables
+		this.load.json('waves', 'assets/waves/waves.json');
+		this.load.json('loot', 'assets/loot/loot.json');
+
 		// Load visual effects
 		loadEffects(this);
 		loadItemEffects(this);
 	}
 
 	create() {
+		// Start recording or replaying input on a new run
+		if (!this.carriedState) {
+			this.startInputLog();
+		}
+
+		// One random generator for the whole run, continued across maps
+		this.rng = new Random(this.seed);
+		if (this.carriedState) {
+			this.rng.setState(this.carriedState.rngState);
+		}
+
+		// Generate the dungeon first if this run uses a generated map
+		if (this.mapKey === GENERATED_MAP_KEY) {
+			this.createGeneratedMap();
+		}
+
 		// Create the map and layers
-		this.map = this.make.tilemap({ key: 'map' });
+		this.map = this.make.tilemap({ key: this.mapKey });
 		const tileset = this.map.addTilesetImage(
 			'full_tilemap',
 			'tiles',
@@ -91,21 +270,62 @@ export default class GameScene extends Phaser.Scene {
 		this.itemsLayer = this.map.createLayer('items', tileset);
 		this.itemsLayer.setCollisionByProperty({ breakable: true });
 
+		// Keep physics bodies inside the map, whatever its size
+		this.physics.world.setBounds(
+			0,
+			0,
+			this.map.widthInPixels,
+			this.map.heightInPixels
+		);
+
 		// Initialize breakable items tracking
 		this.initBreakableItems();
 
+		// Build the navigation grid enemies use to find the player
+		this.createPathfinder();
+
 		// Create animations for player, enemy, effects, and torches
 		createKnightAnimations(this);
 		createGoblinAnimations(this);
 		createEffectAnimations(this);
 		createItemEffectAnimations(this);
 		createTorchAnimations(this);
+		createProjectileTexture(this);
+		createWeaponTextures(this);
+		createItemTextures(this);
+		createStatusTextures(this);
 
-		// Create player
-		this.player = new Player(this, 100, 280);
+		// Keyboard and gamepad actions, read every frame in readFrameInput
+		this.controls = new InputManager(this);
+
+		// Create player at the map's start position
+		const playerStart = this.getPlayerStart();
+		this.player = new Player(this, playerStart.x, playerStart.y);
 		this.physics.add.collider(this.player, this.wallsLayer);
+
+		// Weapon equipped on the last map or in the save
+		if (this.carriedState) {
+			this.player.equipWeapon(this.carriedState.weapon);
+		}
 		this.physics.add.collider(this.player, this.itemsLayer);
 
+		// Projectiles fired by enemies
+		this.createProjectiles();
+
+		// Every enemy, alive or kept to be spawned again, and their collisions
+		this.createEnemyGroup();
+
+		// Loot dropped by broken items and killed enemies
+		this.lootData = this.cache.json.get('loot');
+		this.pickups = this.physics.add.group();
+		this.physics.add.overlap(
+			this.player,
+			this.pickups,
+			this.collectPickup,
+			null,
+			this
+		);
+
 		// Enable debug mode (only in development)
 		// You can wrap this in a conditional if you have a build system
 		// if (
@@ -122,51 +342,278 @@ export default class GameScene extends Phaser.Scene {
 		// 	});
 		// }
 
-		// Create torch decorations
+		// Darkness over the map, lit by the torches and the player's lantern
+		this.lighting = new Lighting(this);
+		this.lighting.addLight(this.player.x, this.player.y, {
+			radius: 70,
+			intensity: 0.9,
+			follow: this.player,
+		});
+
+		// Create torch decorations, spawn zones and exits from the map
 		this.placeTorches();
+		this.loadSpawnZones();
+		this.createExits();
 
 		// Set camera to follow the player and zoom in
 		this.cameras.main.startFollow(this.player, true);
 		this.cameras.main.setZoom(1.2);
 
 		// Initialize UI after camera is set up
-		this.ui = new UI(this, this.playerMaxHealth);
+		this.ui = new UI(this, this.playerHealth.max);
+		this.ui.updateWeapon(this.player.weapon);
+		this.player.on('weaponchange', (weapon) => {
+			this.ui.updateWeapon(weapon);
+		});
+
+		this.ui.updateHealth(this.playerHealth.current);
+		this.ui.updateItems(this.inventory);
+		this.ui.updateExperience(this.experience);
+		this.applyUpgrades();
+
+		// Joystick and buttons on touch screens (or with ?touch); they replace
+		// the pause button
+		if (
+			this.sys.game.device.input.touch ||
+			new URLSearchParams(window.location.search).has('touch')
+		) {
+			this.controls.setTouchControls(new TouchControls(this));
+			this.ui.pauseButton.setVisible(false);
+			this.ui.pauseButton.disableInteractive();
+		}
 
-		// Initialize wave system
-		this.currentWave = 0;
-		this.maxWaves = 5;
+		// Initialize wave system from the wave script
 		this.enemies = [];
+		this.waves = new WaveDirector(
+			this.cache.json.get('waves'),
+			this.gameClock,
+			{
+				spawn: (spawn) => this.spawnWaveEnemy(spawn),
+				countAlive: () => this.enemies.length,
+				waveStarted: () => this.onWaveStarted(),
+				waveCleared: (wave) => this.onWaveCleared(wave),
+				allWavesCleared: () => this.onAllWavesCleared(),
+			}
+		);
+
+		if (this.carriedState) {
+			// Arriving from another map or continuing a save:
+			// restore coins and enemies and continue the wave
+			this.ui.updateCoins(this.coins);
+			this.restoreEnemies(this.carriedState.enemies || []);
+			this.waves.resume(
+				this.carriedState.currentWave,
+				this.carriedState.remainingEnemies
+			);
+			this.cameras.main.fadeIn(300);
+			this.saveGame();
+		} else {
+			const savedRun = this.isInputLogActive() ? null : loadRun();
+			if (savedRun) {
+				// Let the player continue the saved run instead
+				this.showContinuePrompt(savedRun);
+			} else {
+				// Start the first wave
+				this.waves.startNextWave();
+			}
+		}
+
+		// Read (and record or replay) the player input before physics runs
+		this.frameInput = null;
+		this.events.on('preupdate', this.readFrameInput, this);
+
+		// Redraw the darkness once everything has moved, also during the boss
+		// intro when update returns early
+		this.events.on('postupdate', this.lighting.update, this.lighting);
+
+		// Save the run and the input log when the tab is closed
+		const saveOnUnload = () => {
+			this.saveGame();
+			this.saveInputLog();
+		};
+		window.addEventListener('beforeunload', saveOnUnload);
+		this.events.once('shutdown', () => {
+			window.removeEventListener('beforeunload', saveOnUnload);
+			this.events.off('preupdate', this.readFrameInput, this);
+			this.events.off('postupdate', this.lighting.update, this.lighting);
+		});
+	}
+
+	// Record input with ?record, or replay a recorded run with ?replay (the
+	// last recording) or ?replay=path/to/log.json. Both make the game advance
+	// by a fixed time every frame (see main.js) so runs play out the same.
+	startInputLog() {
+		const params = new URLSearchParams(window.location.search);
+		this.registry.remove('inputRecorder');
+		this.registry.remove('inputReplay');
+
+		if (params.has('replay')) {
+			const log = params.get('replay')
+				? this.cache.json.get('replay-log')
+				: loadReplay();
+
+			let replay;
+			try {
+				replay = new InputReplay(log);
+			} catch (error) {
+				console.warn('Could not replay the input log:', error);
+				return;
+			}
+
+			// Replays start like the recorded run
+			this.seed = replay.seed;
+			this.mapKey = replay.mapKey;
+			this.registry.set('inputReplay', replay);
+			console.log(
+				`Replaying ${replay.frameCount} frames (seed ${replay.seed})`
+			);
+		} else if (params.has('record')) {
+			this.registry.set(
+				'inputRecorder',
+				new InputRecorder({ seed: this.seed, mapKey: this.mapKey })
+			);
+			console.log(`Recording input (seed ${this.seed})`);
+		}
+	}
+
+	// Whether input is being recorded or replayed
+	isInputLogActive() {
+		return (
+			this.registry.has('inputRecorder') ||
+			this.registry.has('inputReplay')
+		);
+	}
+
+	// Keep the recorded input log in localStorage (replay it with ?replay)
+	saveInputLog() {
+		const recorder = this.registry.get('inputRecorder');
+		if (recorder && saveReplay(recorder.toJSON())) {
+			console.log(`Input log saved (${recorder.frameCount} frames)`);
+		}
+	}
+
+	// Read the player input of this frame from the controls or the replay
+	readFrameInput() {
+		if (!this.player) return;
+
+		// The mouse aims from the player, but not on the pause screen
+		this.controls.update(this.ui.isPaused ? null : this.player);
+
+		const replay = this.registry.get('inputReplay');
+		if (!replay) {
+			// The pause action works like the pause button, outside of cutscenes and menus
+			if (
+				this.controls.isPressed('pause') &&
+				!this.bossIntroPlaying &&
+				!this.continuePromptOpen &&
+				!this.upgradeChoices
+			) {
+				this.ui.togglePause();
+			}
+
+			const input = this.controls.getPlayerInput();
+			input.paused = this.ui.isPaused;
+
+			// The upgrade picked this frame is part of the input, so replays
+			// pick the same ones
+			if (this.upgradeChoices && !this.ui.isPaused) {
+				const choice = this.readUpgradeChoice();
+				if (choice !== null) {
+					input[`choice${choice + 1}`] = true;
+				}
+			}
+
+			const recorder = this.registry.get('inputRecorder');
+			if (recorder) {
+				recorder.record(input);
+			}
+
+			this.frameInput = input;
+			return;
+		}
+
+		let input = replay.next();
+		if (!input) {
+			if (!this.replayFinished) {
+				this.replayFinished = true;
+				console.log(`Replay finished after ${replay.frame} frames`);
+			}
+			input = {
+				moveX: 0,
+				moveY: 0,
+				aimAngle: null,
+				paused: this.ui.isPaused,
+			};
+		}
+
+		// Pause and resume at the same frames as the recorded run
+		if (input.paused !== this.ui.isPaused) {
+			this.ui.togglePause();
+		}
+
+		this.frameInput = input;
+	}
+
+	// Generate a dungeon from the run's seed and add it to the tilemap cache
+	createGeneratedMap() {
+		const data = generateDungeon({
+			seed: this.seed,
+			// Copy the tileset and its tile properties from the hand-made map
+			template: this.cache.tilemap.get('map').data,
+		});
+
+		this.cache.tilemap.add(GENERATED_MAP_KEY, {
+			format: Phaser.Tilemaps.Formats.TILED_JSON,
+			data,
+		});
+	}
+
+	// Get the player start position from the map's object layer,
+	// using the entrance the player came through when changing maps
+	getPlayerStart() {
+		// A continued run starts where the player was when it was saved
+		if (this.savedRun) {
+			return { ...this.savedRun.player };
+		}
 
-		// Start the first wave
-		this.startNextWave();
+		if (this.entranceName) {
+			const entrance = getMapObjects(
+				this.map,
+				'objects',
+				'entrance'
+			).find((obj) => obj.name === this.entranceName);
+			if (entrance) {
+				return { x: entrance.x, y: entrance.y };
+			}
+			console.warn(`Map has no entrance '${this.entranceName}'`);
+		}
+
+		const [start] = getMapObjects(this.map, 'objects', 'player_start');
+		if (!start) {
+			console.warn('Map has no player_start object, using default');
+			return { x: 100, y: 280 };
+		}
+
+		return { x: start.x, y: start.y };
 	}
 
-	// Place torch decorations at fixed positions on the walls
+	// Place torch decorations at the torch objects of the map
 	placeTorches() {
-		// Define torch positions - you can customize these coordinates
-		const torchPositions = [
-			{ x: 40, y: 20 },
-			{ x: 230, y: 20 },
-			{ x: 135, y: 20 },
-			{ x: 268, y: 35 },
-			{ x: 216, y: 148 },
-			{ x: 280, y: 148 },
-		];
+		getMapObjects(this.map, 'objects', 'torch').forEach((obj) => {
+			const properties = getObjectProperties(obj);
 
-		// Create torches at each position
-		torchPositions.forEach((pos) => {
-			const torch = new SpriteItem(this, pos.x, pos.y, {
+			const torch = new SpriteItem(this, obj.x, obj.y, {
 				texture: 'torch',
 				frame: 'torch_anim_f0.png',
-				scale: 1.5,
+				scale: properties.scale || 1.5,
 				depth: 5, // Make sure torches appear above ground but below other objects
 				animationKey: 'torch-flame',
 				// Add light effect for ambience
 				light: {
 					enabled: true,
-					radius: 60,
-					color: 0xff6600,
-					intensity: 0.4,
+					radius: properties.radius || 60,
+					color: properties.color || 0xff6600,
+					intensity: properties.intensity || 0.4,
 				},
 			});
 
@@ -174,8 +621,169 @@ export default class GameScene extends Phaser.Scene {
 		});
 	}
 
+	// Create trigger zones for the exit objects of the map; locked exits get
+	// a lock that has to be opened with a key first
+	createExits() {
+		const unlocked = this.unlockedExits[this.mapKey] || [];
+
+		getMapObjects(this.map, 'objects', 'exit').forEach((obj) => {
+			const exit = getObjectProperties(obj);
+
+			const zone = this.add.zone(obj.x, obj.y, obj.width, obj.height);
+			zone.setOrigin(0, 0);
+			this.physics.add.existing(zone, true);
+
+			let lock = null;
+			if (exit.locked && !unlocked.includes(obj.name)) {
+				lock = new LockedExit(
+					this,
+					obj.x + obj.width / 2,
+					obj.y + obj.height / 2,
+					{ onUnlock: () => this.unlockExit(obj.name) }
+				);
+				this.interactables.push(lock);
+			}
+
+			this.physics.add.overlap(this.player, zone, () => {
+				if (lock && lock.isLocked) return;
+				this.useExit(exit);
+			});
+		});
+	}
+
+	// Remember that a locked exit of this map was opened
+	unlockExit(name) {
+		if (!this.unlockedExits[this.mapKey]) {
+			this.unlockedExits[this.mapKey] = [];
+		}
+		this.unlockedExits[this.mapKey].push(name);
+	}
+
+	// Fade out and load the map an exit leads to, keeping the run state
+	useExit(exit) {
+		// Ignore exits while already changing maps or after dying
+		if (this.isTransitioning || this.playerHealth.isDead) return;
+
+		if (
+			exit.map !== GENERATED_MAP_KEY &&
+			!this.cache.tilemap.exists(exit.map)
+		) {
+			console.warn(`Exit leads to unknown map '${exit.map}'`);
+			return;
+		}
+
+		this.isTransitioning = true;
+		this.player.setVelocity(0, 0);
+		this.physics.pause();
+
+		this.cameras.main.fadeOut(300);
+		this.cameras.main.once('camerafadeoutcomplete', () => {
+			this.scene.restart({
+				mapKey: exit.map,
+				entrance: exit.entrance,
+				run: this.getRunState(),
+			});
+		});
+	}
+
+	// Collect the state of the run that carries over between maps
+	getRunState() {
+		// Enemies still alive or not spawned yet are moved to the next map
+		const remainingEnemies = this.enemies
+			.filter((enemy) => !enemy.isDying)
+			.map((enemy) => enemy.enemyType)
+			.concat(this.waves.pending.map((spawn) => spawn.type));
+
+		return {
+			health: this.playerHealth.current,
+			currentWave: this.waves.currentWave,
+			remainingEnemies,
+			destroyedItems: this.destroyedItems,
+			unlockedExits: this.unlockedExits,
+			seed: this.seed,
+			rngState: this.rng.getState(),
+			coins: this.coins,
+			inventory: this.inventory.toJSON(),
+			experience: this.experience.toJSON(),
+			upgrades: { ...this.upgrades },
+			weapon: this.player.weapon.weaponType,
+		};
+	}
+
+	// Get the run state to save, with the player position and every living enemy
+	getSaveState() {
+		const enemies = this.enemies
+			.filter((enemy) => !enemy.isDying)
+			.map((enemy) => ({
+				type: enemy.enemyType,
+				x: enemy.x,
+				y: enemy.y,
+				damageTaken: enemy.health.damageTaken,
+			}));
+
+		return {
+			...this.getRunState(),
+			mapKey: this.mapKey,
+			player: { x: this.player.x, y: this.player.y },
+			enemies,
+			// Living enemies are restored on their own, only unspawned ones are left
+			remainingEnemies: this.waves.pending.map((spawn) => spawn.type),
+		};
+	}
+
+	// Save the run to localStorage so it can be continued later
+	saveGame() {
+		// Nothing to save before the run starts, while changing maps or once
+		// it's over; recorded and replayed runs aren't saved either
+		if (
+			this.isInputLogActive() ||
+			this.continuePromptOpen ||
+			this.isTransitioning ||
+			this.playerHealth.isDead ||
+			this.waves.isFinished
+		) {
+			return;
+		}
+
+		saveRun(this.getSaveState());
+	}
+
+	// Ask whether to continue the saved run or start a new one
+	showContinuePrompt(savedRun) {
+		this.continuePromptOpen = true;
+		this.physics.pause();
+
+		this.ui.showContinuePrompt(
+			savedRun.currentWave,
+			() => {
+				this.scene.restart({ save: savedRun });
+			},
+			() => {
+				clearRun();
+				this.continuePromptOpen = false;
+				this.physics.resume();
+				this.waves.startNextWave();
+			}
+		);
+	}
+
+	// Respawn the enemies of a saved run where they were, with their damage
+	restoreEnemies(enemies) {
+		enemies.forEach((saved) => {
+			const enemy = this.spawnEnemy(saved.x, saved.y, saved.type);
+			enemy.restoreDamage(saved.damageTaken);
+		});
+	}
+
 	// Initialize tracking for all breakable items
 	initBreakableItems() {
+		// Remove items that were destroyed on an earlier visit to this map
+		const destroyed = this.destroyedItems[this.mapKey] || [];
+		destroyed.forEach((tileKey) => {
+			const [tileX, tileY] = tileKey.split(',').map(Number);
+			this.itemsLayer.removeTileAt(tileX, tileY);
+		});
+
 		// Find all tiles with the 'breakable' property
 		this.itemsLayer.forEachTile((tile) => {
 			if (tile.properties && tile.properties.breakable) {
@@ -193,6 +801,76 @@ export default class GameScene extends Phaser.Scene {
 		console.log(`Initialized ${this.breakableItems.size} breakable items`);
 	}
 
+	// Create the pathfinding grid from the tiles that block movement
+	createPathfinder() {
+		this.pathfinder = new Pathfinder(
+			this.map.width,
+			this.map.height,
+			(tileX, tileY) => {
+				const wallTile = this.wallsLayer.getTileAt(tileX, tileY);
+				const itemTile = this.itemsLayer.getTileAt(tileX, tileY);
+
+				return (
+					!this.groundLayer.hasTileAt(tileX, tileY) ||
+					(wallTile && wallTile.collides) ||
+					(itemTile && itemTile.collides)
+				);
+			}
+		);
+	}
+
+	// Create the projectile group and its collisions
+	createProjectiles() {
+		this.projectiles = this.physics.add.group();
+
+		// Projectiles break on walls and breakable items
+		const breakProjectile = (projectile) => {
+			createHitEffect(this, projectile.x, projectile.y);
+			projectile.despawn();
+		};
+		this.physics.add.collider(
+			this.projectiles,
+			this.wallsLayer,
+			breakProjectile
+		);
+		this.physics.add.collider(
+			this.projectiles,
+			this.itemsLayer,
+			breakProjectile
+		);
+
+		this.physics.add.overlap(
+			this.player,
+			this.projectiles,
+			this.projectileHitPlayer,
+			null,
+			this
+		);
+		this.physics.add.overlap(
+			this.player.swordHitbox,
+			this.projectiles,
+			this.swordHitProjectile,
+			null,
+			this
+		);
+	}
+
+	// Fire a projectile from a position at an angle (radians)
+	fireProjectile(x, y, angle, config) {
+		// Reuse a projectile that broke or fizzled out if there is one
+		let projectile = this.projectiles.getFirstDead();
+		if (!projectile) {
+			projectile = new Projectile(this);
+
+			// Add to the group before launching, adding resets the velocity
+			this.projectiles.add(projectile);
+		}
+		projectile.spawn(x, y, config);
+		projectile.launch(angle);
+
+		return projectile;
+	}
+
 	// Check for sword collisions with breakable items
 	checkSwordItemCollisions() {
 		// Only check when the player is attacking and the sword hitbox is active
@@ -240,7 +918,7 @@ export default class GameScene extends Phaser.Scene {
 		const [tileX, tileY] = tileKey.split(',').map(Number);
 
 		// Don't allow hitting the same tile too quickly
-		const now = this.time.now;
+		const now = this.gameClock.now();
 		if (item.lastHitTime && now - item.lastHitTime < 500) {
 			return; // Too soon to hit again
 		}
@@ -271,41 +949,454 @@ export default class GameScene extends Phaser.Scene {
 
 		// If item has taken enough hits, break it
 		if (item.hits >= item.maxHits) {
-			// Play explosion animation
-			createItemExplosion(this, tileX, tileY);
+			this.breakItem(tileKey);
+		}
+	}
 
-			// Remove the tile
-			this.itemsLayer.removeTileAt(tileX, tileY);
+	// Break a breakable item, dropping its loot
+	breakItem(tileKey) {
+		const item = this.breakableItems.get(tileKey);
+		const [tileX, tileY] = tileKey.split(',').map(Number);
+
+		// Play explosion animation
+		createItemExplosion(this, tileX, tileY);
 
-			// Remove from tracking
-			this.breakableItems.delete(tileKey);
+		// Remove the tile and let enemies path through it
+		const tileIndex = item.tile.index;
+		this.itemsLayer.removeTileAt(tileX, tileY);
+		this.pathfinder.setBlocked(tileX, tileY, false);
+
+		// Drop loot from the item's loot table
+		this.dropLoot(
+			'tiles',
+			tileIndex,
+			this.map.tileToWorldX(tileX) + this.map.tileWidth / 2,
+			this.map.tileToWorldY(tileY) + this.map.tileHeight / 2
+		);
 
-			console.log(`Broke item at ${tileX}, ${tileY}`);
+		// Remove from tracking and remember it for later visits
+		this.breakableItems.delete(tileKey);
+		if (!this.destroyedItems[this.mapKey]) {
+			this.destroyedItems[this.mapKey] = [];
 		}
+		this.destroyedItems[this.mapKey].push(tileKey);
 	}
 
-	// Start the next wave of enemies
-	startNextWave() {
-		// Increment wave counter
-		this.currentWave++;
+	// Roll the loot table of a broken item or killed enemy and drop its pickups
+	dropLoot(source, key, x, y) {
+		const table = getLootTable(this.lootData, source, key);
+		if (!table) return;
 
-		// Check if we've reached the maximum number of waves
-		if (this.currentWave > this.maxWaves) {
-			this.showGameWon();
-			return;
+		rollLoot(table, this.rng).forEach((type) => {
+			this.spawnPickup(x, y, type);
+		});
+	}
+
+	// Spawn a pickup that pops out of a position onto a free spot nearby
+	spawnPickup(x, y, type) {
+		const pickup = new Pickup(this, x, y, getPickupConfig(type));
+		this.pickups.add(pickup);
+
+		const landing = this.getDropPoint(x, y);
+		pickup.popTo(landing.x, landing.y);
+
+		return pickup;
+	}
+
+	// Find a walkable spot near a position for a pickup to land on
+	getDropPoint(x, y) {
+		for (let attempt = 0; attempt < 8; attempt++) {
+			const angle = this.rng.angle();
+			const distance = this.rng.between(6, 16);
+			const dropX = x + Math.cos(angle) * distance;
+			const dropY = y + Math.sin(angle) * distance;
+
+			if (
+				!this.pathfinder.isBlocked(
+					this.map.worldToTileX(dropX),
+					this.map.worldToTileY(dropY)
+				)
+			) {
+				return { x: dropX, y: dropY };
+			}
+		}
+
+		return { x, y };
+	}
+
+	// Overlap callback: the player walks over a pickup
+	collectPickup(player, pickup) {
+		if (pickup.collected) return;
+
+		switch (pickup.effect) {
+			case 'heal':
+				// Leave hearts on the ground while at full health
+				if (this.playerHealth.current >= this.playerHealth.max) return;
+				this.healPlayer(pickup.amount);
+				break;
+			case 'coins':
+				this.coins += pickup.amount;
+				this.ui.updateCoins(this.coins);
+				break;
+			case 'item':
+				// Leave items on the ground while the inventory can't take more
+				if (!this.inventory.canAdd(pickup.pickupConfig.item)) return;
+				this.addItem(pickup.pickupConfig.item, pickup.amount);
+				break;
+			case 'weapon':
+				this.player.equipWeapon(pickup.pickupConfig.weapon);
+				break;
+			default:
+				console.warn(`Unknown pickup effect '${pickup.effect}'`);
+		}
+
+		pickup.collect();
+	}
+
+	// Add items to the inventory (up to their limit)
+	addItem(type, amount = 1) {
+		const added = this.inventory.add(type, amount);
+		this.ui.updateItems(this.inventory);
+		return added;
+	}
+
+	// Take an item out of the inventory; returns false if there is none
+	removeItem(type) {
+		if (!this.inventory.remove(type)) return false;
+
+		this.ui.updateItems(this.inventory);
+		return true;
+	}
+
+	// Use the interact action and the item hotkeys of this frame's input
+	handleItemInput(input) {
+		if (this.playerHealth.isDead) return;
+
+		if (input.interact) {
+			this.interact();
+		}
+
+		ITEM_SLOTS.forEach((type, i) => {
+			if (input[`item${i + 1}`]) {
+				this.useItem(type);
+			}
+		});
+	}
+
+	// Interact with the closest interactive item in reach of the player
+	interact() {
+		let closest = null;
+		let closestDistance = Infinity;
+
+		this.interactables.forEach((item) => {
+			if (!item.canInteract(this.player)) return;
+
+			const distance = Phaser.Math.Distance.Between(
+				item.x,
+				item.y,
+				this.player.x,
+				this.player.y
+			);
+			if (distance < closestDistance) {
+				closest = item;
+				closestDistance = distance;
+			}
+		});
+
+		if (closest) {
+			closest.onInteract(this.player);
+		}
+	}
+
+	/**
+	 * Use an item from the inventory (see ItemTypes.js).
+	 * @param {string} type - The item type.
+	 * @returns {boolean} - Whether the item was used up.
+	 */
+	useItem(type) {
+		if (!this.inventory.has(type)) return false;
+
+		const item = getItemConfig(type);
+		switch (item.effect) {
+			case 'heal':
+				// Don't waste potions at full health
+				if (this.playerHealth.current >= this.playerHealth.max) {
+					return false;
+				}
+				this.healPlayer(item.amount);
+				break;
+			case 'speed':
+			case 'shield':
+				this.applyPowerUp(item.effect, item);
+				break;
+			case 'bomb':
+				this.dropBomb(item);
+				break;
+			default:
+				// Keys are only used on locked exits
+				return false;
+		}
+
+		return this.removeItem(type);
+	}
+
+	// Drop a lit bomb at the player's feet
+	dropBomb(config) {
+		const bomb = new Bomb(this, this.player.x, this.player.y + 6, config);
+		bomb.once('explode', () => {
+			this.explodeBomb(bomb);
+		});
+	}
+
+	// Hurt and push away everything in a bomb's blast, and break the items in it
+	explodeBomb(bomb) {
+		createBombExplosion(this, bomb.x, bomb.y, bomb.radius);
+		this.cameras.main.shake(250, 0.015);
+
+		const inBlast = (x, y) =>
+			Phaser.Math.Distance.Between(bomb.x, bomb.y, x, y) <= bomb.radius;
+		const pushAway = (x, y) => {
+			const angle = Phaser.Math.Angle.Between(bomb.x, bomb.y, x, y);
+			return {
+				x: Math.cos(angle) * bomb.knockback,
+				y: Math.sin(angle) * bomb.knockback,
+			};
+		};
+
+		// Enemies can be removed while damaging them, go through a copy
+		[...this.enemies].forEach((enemy) => {
+			if (enemy.isDying || !inBlast(enemy.x, enemy.y)) return;
+
+			// Only enemies that take the hit (not during their hit cooldown)
+			// and survive it are pushed and flashed
+			const result = enemy.takeDamage({
+				amount: bomb.damage,
+				type: 'explosion',
+			});
+			if (!result.applied || result.killed) return;
+
+			const push = pushAway(enemy.x, enemy.y);
+			enemy.knockback(push.x, push.y);
+
+			// Flash the enemy red
+			enemy.setTint(0xff0000);
+			this.time.delayedCall(150, () => {
+				enemy.resetTint();
+			});
+		});
+
+		[...this.breakableItems.keys()].forEach((tileKey) => {
+			const [tileX, tileY] = tileKey.split(',').map(Number);
+			if (
+				inBlast(
+					this.map.tileToWorldX(tileX) + this.map.tileWidth / 2,
+					this.map.tileToWorldY(tileY) + this.map.tileHeight / 2
+				)
+			) {
+				this.breakItem(tileKey);
+			}
+		});
+
+		// The player isn't safe from their own bombs (unless dashing)
+		if (
+			!this.playerHealth.isDead &&
+			!this.player.isDashing &&
+			inBlast(this.player.x, this.player.y)
+		) {
+			const push = pushAway(this.player.x, this.player.y);
+			this.player.knockback(push.x, push.y);
+			this.damagePlayer();
+		}
+	}
+
+	// Start a temporary power-up, or refresh its duration if already active
+	applyPowerUp(effect, config) {
+		if (this.powerUpTimers[effect]) {
+			this.powerUpTimers[effect].cancel();
+		} else {
+			this.setPowerUp(effect, true, config);
+		}
+
+		// On game time, so power-ups don't run out while the game is frozen
+		this.powerUpTimers[effect] = this.gameClock.delay(
+			config.duration,
+			() => {
+				delete this.powerUpTimers[effect];
+				this.setPowerUp(effect, false, config);
+			}
+		);
+	}
+
+	// Turn the effect of a power-up on or off
+	setPowerUp(effect, enabled, config) {
+		switch (effect) {
+			case 'speed':
+				this.player.speed = enabled
+					? this.player.baseSpeed * config.multiplier
+					: this.player.baseSpeed;
+				break;
+			case 'shield':
+				// Shielded players take no damage; tint them while it lasts
+				this.playerShielded = enabled;
+				this.player.resetTint();
+				break;
+		}
+	}
+
+	// Gain experience (for killing an enemy), leveling up if it's enough
+	gainExperience(amount) {
+		const levels = this.experience.add(amount);
+		this.ui.updateExperience(this.experience);
+
+		if (levels > 0) {
+			createFloatingText(
+				this,
+				this.player.x,
+				this.player.y - 20,
+				'LEVEL UP!',
+				'#66ddff'
+			);
+		}
+	}
+
+	// Called by the wave director when a wave is cleared
+	onWaveCleared(waveNumber) {
+		// Upgrades for the levels gained are picked before the next wave
+		if (
+			waveNumber < this.waves.maxWaves &&
+			this.experience.pendingLevelUps > 0
+		) {
+			this.offerUpgrades();
+		}
+	}
+
+	// Freeze the game (and the rest before the next wave) and let the player
+	// pick one of a few upgrades
+	offerUpgrades() {
+		const choices = rollUpgradeChoices(this.upgrades, this.rng);
+		if (choices.length === 0) return; // Everything is maxed out
+
+		this.upgradeChoices = choices;
+		this.upgradeHighlight = 0;
+		this.clickedUpgrade = null;
+		this.physics.pause();
+
+		this.ui.showUpgradeChoice(choices.map(getUpgradeConfig), (index) => {
+			this.clickedUpgrade = index;
+		});
+		this.ui.highlightUpgrade(this.upgradeHighlight);
+	}
+
+	// Read the upgrade picked this frame, if any: a clicked card, the number
+	// keys (the item hotkeys) or confirm on the card highlighted with left/right
+	readUpgradeChoice() {
+		const count = this.upgradeChoices.length;
+
+		if (
+			this.controls.isPressed('left') ||
+			this.controls.isPressed('right')
+		) {
+			const step = this.controls.isPressed('left') ? count - 1 : 1;
+			this.upgradeHighlight = (this.upgradeHighlight + step) % count;
+			this.ui.highlightUpgrade(this.upgradeHighlight);
+		}
+
+		let choice = this.clickedUpgrade;
+		this.clickedUpgrade = null;
+
+		for (let i = 0; i < count; i++) {
+			if (this.controls.isPressed(`item${i + 1}`)) {
+				choice = i;
+			}
+		}
+		if (choice === null && this.controls.isPressed('confirm')) {
+			choice = this.upgradeHighlight;
+		}
+
+		return choice;
+	}
+
+	// Take the upgrade picked in this frame's input, if any
+	updateUpgradeChoice(input) {
+		const index = this.upgradeChoices.findIndex(
+			(type, i) => input[`choice${i + 1}`]
+		);
+		if (index === -1) return;
+
+		const upgrade = getUpgradeConfig(this.upgradeChoices[index]);
+		this.upgrades[upgrade.upgradeType] =
+			(this.upgrades[upgrade.upgradeType] || 0) + 1;
+		this.experience.spendLevelUp();
+		this.applyUpgrades();
+
+		// A new heart comes filled
+		if (upgrade.effect === 'maxHealth') {
+			this.healPlayer(upgrade.amount);
 		}
 
-		// Calculate number of enemies for this wave
-		const enemiesToSpawn = this.currentWave;
+		this.ui.hideUpgradeChoice();
+		this.upgradeChoices = null;
+		this.physics.resume();
 
-		// Spawn enemies
-		for (let i = 0; i < enemiesToSpawn; i++) {
-			const spawnPoint = this.getValidSpawnPoint();
-			this.spawnEnemy(spawnPoint.x, spawnPoint.y);
+		// Several levels gained during the wave give several picks
+		if (this.experience.pendingLevelUps > 0) {
+			this.offerUpgrades();
 		}
+	}
+
+	// Set the player's stats from the upgrades taken
+	applyUpgrades() {
+		const bonus = (effect) => getUpgradeBonus(this.upgrades, effect);
 
+		this.playerHealth.setMax(this.playerMaxHealth + bonus('maxHealth'));
+		this.playerHealth.invulnerableTime =
+			this.invincibilityTime + bonus('invincibility');
+		this.ui.setMaxHealth(this.playerHealth.max);
+		this.ui.updateHealth(this.playerHealth.current);
+
+		this.player.setUpgradeBonuses({
+			speed: bonus('speed'),
+			attackDamage: bonus('attackDamage'),
+			attackSpeed: bonus('attackSpeed'),
+		});
+	}
+
+	// Called by the wave director when a wave starts
+	onWaveStarted() {
 		// Display wave number above player
 		this.displayWaveCounter();
+
+		// Every wave start is a checkpoint
+		this.saveGame();
+	}
+
+	// Called by the wave director once the last wave is cleared
+	onAllWavesCleared() {
+		// The run is over, there is nothing left to continue
+		clearRun();
+		this.saveInputLog();
+		this.showGameWon();
+	}
+
+	// Spawn one queued enemy of the wave inside its spawn region
+	spawnWaveEnemy(spawn) {
+		const spawnPoint = this.getValidSpawnPoint(
+			this.getSpawnZone(spawn.region)
+		);
+		this.spawnEnemy(spawnPoint.x, spawnPoint.y, spawn.type);
+	}
+
+	// Look up a named spawn zone from the map's object layer
+	getSpawnZone(name) {
+		if (!name) return null;
+
+		const region = this.spawnZones[name];
+		if (!region) {
+			console.warn(`Unknown spawn zone '${name}', using all zones`);
+			return null;
+		}
+
+		return region;
 	}
 
 	// Display wave counter above player
@@ -314,7 +1405,7 @@ export default class GameScene extends Phaser.Scene {
 		const waveText = this.add.text(
 			this.player.x,
 			this.player.y - 40,
-			`WAVE ${this.currentWave}/${this.maxWaves}`,
+			`WAVE ${this.waves.currentWave}/${this.waves.maxWaves}`,
 			{
 				fontSize: '24px',
 				fontStyle: 'bold',
@@ -396,6 +1487,8 @@ export default class GameScene extends Phaser.Scene {
 
 	// Show game over message when player dies
 	showGameOver() {
+		this.saveInputLog();
+
 		// Create game over text
 		const gameOverText = this.add.text(
 			this.cameras.main.centerX,
@@ -429,7 +1522,7 @@ export default class GameScene extends Phaser.Scene {
 				const restartText = this.add.text(
 					this.cameras.main.centerX,
 					this.cameras.main.centerY + 50,
-					'Press Space to restart',
+					`Press ${this.controls.getKeyLabel('confirm')} to restart`,
 					{
 						fontSize: '16px',
 						color: '#ffffff',
@@ -442,35 +1535,59 @@ export default class GameScene extends Phaser.Scene {
 				restartText.setScrollFactor(0);
 				restartText.setDepth(200);
 
-				// Add restart key listener
-				const spaceKey = this.input.keyboard.addKey('SPACE');
-				spaceKey.once('down', () => {
-					this.scene.restart();
-				});
+				// Offer to continue from the last save (the start of the wave
+				// or the last map change)
+				let cancelContinue = () => {};
+				const savedRun = loadRun();
+				if (savedRun) {
+					restartText.setText(
+						`${restartText.text}\nPress ${this.controls.getKeyLabel(
+							'continueRun'
+						)} to continue from wave ${savedRun.currentWave}`
+					);
+
+					cancelContinue = this.controls.onceAction(
+						'continueRun',
+						() => {
+							cancelRestart();
+							this.scene.restart({ save: savedRun });
+						}
+					);
+				}
+
+				// Restart with the confirm action
+				const cancelRestart = this.controls.onceAction(
+					'confirm',
+					() => {
+						cancelContinue();
+						clearRun();
+						this.scene.restart({});
+					}
+				);
 			},
 		});
 	}
 
-	// Handle player damage
-	damagePlayer() {
-		// If player is currently invincible, do nothing
-		if (this.playerInvincible) return;
+	// Handle player damage (in hearts, halves allowed)
+	damagePlayer(amount = 1) {
+		// If player is shielded, do nothing
+		if (this.playerShielded) return;
+
+		// Damage is ignored while invincible after the last hit
+		const result = this.playerHealth.damage(amount, this.gameClock.now());
+		if (!result.applied) return;
 
 		// Add a little screen shake for feedback
-		this.cameras.main.shake(100, 0.01);
-		// Damage the player through the UI
-		const newHealth = this.ui.damagePlayer(1);
+		this.cameras.main.shake(200, 0.01);
+		this.ui.updateHealth(this.playerHealth.current);
 
 		// Check if player has died
-		if (newHealth <= 0) {
+		if (result.killed) {
 			// Call playerDeath immediately
 			this.playerDeath();
 			return; // Exit early to skip invincibility setup
 		}
 
-		// Set temporary invincibility
-		this.playerInvincible = true;
-
 		// Make player flash to indicate invincibility
 		this.player.setAlpha(0.5);
 
@@ -483,15 +1600,30 @@ export default class GameScene extends Phaser.Scene {
 			repeat: 5,
 		});
 
-		// Reset invincibility after delay
-		this.time.delayedCall(this.invincibilityTime, () => {
-			this.playerInvincible = false;
+		// Stop flashing once invincibility ends
+		this.gameClock.delay(this.playerHealth.invulnerableTime, () => {
 			this.player.setAlpha(1); // Ensure player is fully visible
 		});
 	}
 
+	// Damage over time (status effects such as poison), which ignores the
+	// invincibility after a hit
+	drainPlayer(amount) {
+		if (this.playerShielded) return;
+
+		const result = this.playerHealth.drain(amount);
+		if (!result.applied) return;
+
+		this.ui.updateHealth(this.playerHealth.current);
+		if (result.killed) {
+			this.playerDeath();
+		}
+	}
+
 	// Handle player death
 	playerDeath() {
+		this.player.clearStatus();
+
 		// Add death animation or effects here
 		this.player.setTint(0xff0000);
 
@@ -512,138 +1644,254 @@ export default class GameScene extends Phaser.Scene {
 
 	// Heal player
 	healPlayer(amount = 1) {
-		this.ui.healPlayer(amount);
+		this.playerHealth.heal(amount);
+		this.ui.updateHealth(this.playerHealth.current);
 	}
 
-	// Spawn a single enemy at the specified position
-	spawnEnemy(x, y) {
-		// Create enemy configuration
-		const enemyConfig = {
-			texture: 'goblin',
-			frame: 'goblin_idle_anim_f0.png',
-			scale: 1.2,
-			bodySizeFactor: 0.7,
-			bodySizeFactorY: 0.9,
-			drag: 0.0005,
-			maxVelocity: 150,
-			speed: 50,
-			target: this.player,
-			anims: {
-				idleLeft: 'goblin-idle-left',
-				idleRight: 'goblin-idle-right',
-				runLeft: 'goblin-run-left',
-				runRight: 'goblin-run-right',
-			},
-		};
-
-		// Create the enemy
-		const enemy = new Enemy(this, x, y, enemyConfig);
+	// Create the group of every enemy and its collisions, set up once for all
+	// the enemies that will be spawned (dead enemies have their body disabled,
+	// so they collide with nothing)
+	createEnemyGroup() {
+		this.enemyGroup = this.add.group();
 
 		// Add collision with walls and items
-		this.physics.add.collider(enemy, this.wallsLayer);
-		this.physics.add.collider(enemy, this.itemsLayer);
+		this.physics.add.collider(this.enemyGroup, this.wallsLayer);
+		this.physics.add.collider(this.enemyGroup, this.itemsLayer);
 
-		// Add collision with player
+		// Add collision with player (dashing goes through enemies)
 		this.physics.add.collider(
 			this.player,
-			enemy,
+			this.enemyGroup,
 			this.playerHit,
-			null,
+			(player) => !player.isDashing,
 			this
 		);
 
 		// Add collision with sword
 		this.physics.add.overlap(
 			this.player.swordHitbox,
-			enemy,
+			this.enemyGroup,
 			this.swordHit,
 			null,
 			this
 		);
 
-		// Track when enemy is destroyed
-		enemy.on('destroy', () => {
+		// Add collision with reflected projectiles
+		this.physics.add.overlap(
+			this.enemyGroup,
+			this.projectiles,
+			this.projectileHitEnemy,
+			null,
+			this
+		);
+	}
+
+	// Spawn a single enemy of the given type at the specified position,
+	// reusing a dead enemy of that type if there is one
+	spawnEnemy(x, y, type = 'goblin') {
+		const enemy =
+			this.enemyGroup
+				.getChildren()
+				.find((dead) => !dead.active && dead.enemyType === type) ||
+			this.createEnemy(type);
+
+		// Every enemy belongs to a wave, which isn't cleared until it is
+		// killed, so it comes for the player rather than patrolling out of
+		// sight
+		enemy.spawn(x, y, { aware: true });
+
+		// Add enemy to tracking array
+		this.enemies.push(enemy);
+
+		// Bosses get an introduction
+		if (enemy.isBoss) {
+			this.startBossIntro(enemy);
+		}
+
+		return enemy;
+	}
+
+	// Create an enemy of the given type in the enemy group (see spawnEnemy)
+	createEnemy(type) {
+		// Create enemy configuration
+		const enemyConfig = {
+			...getEnemyConfig(type),
+			target: this.player,
+		};
+
+		// Create the enemy with the class of its type
+		const EnemyClass = enemyConfig.enemyClass || Enemy;
+		const enemy = new EnemyClass(this, 0, 0, enemyConfig);
+		this.enemyGroup.add(enemy);
+
+		// Track when enemy dies (after its death animation)
+		enemy.on('despawn', () => {
 			// Remove from enemies array
 			this.enemies = this.enemies.filter((e) => e !== enemy);
 
 			// If all enemies are defeated, start next wave
-			if (this.enemies.length === 0) {
-				// Add a short delay before next wave
-				this.time.delayedCall(1000, () => {
-					this.startNextWave();
+			this.waves.checkCleared();
+		});
+
+		return enemy;
+	}
+
+	// Pan the camera over to a boss that just spawned, then back to the player
+	startBossIntro(boss) {
+		// Freeze the fight while the camera is away
+		this.bossIntroPlaying = true;
+		this.physics.pause();
+
+		const camera = this.cameras.main;
+		camera.stopFollow();
+		camera.pan(
+			boss.x,
+			boss.y,
+			800,
+			'Sine.easeInOut',
+			true,
+			(cam, progress) => {
+				if (progress < 1) return;
+
+				this.ui.showBossTitle(boss.displayName);
+
+				this.time.delayedCall(1600, () => {
+					camera.pan(
+						this.player.x,
+						this.player.y,
+						600,
+						'Sine.easeInOut',
+						true,
+						(cam, progress) => {
+							if (progress < 1) return;
+
+							camera.startFollow(this.player, true);
+							this.physics.resume();
+							this.bossIntroPlaying = false;
+
+							this.ui.showBossBar(
+								boss.displayName,
+								boss.getHealthRatio()
+							);
+						}
+					);
 				});
 			}
+		);
+	}
+
+	// Read the named enemy spawn zones from the map's object layer
+	loadSpawnZones() {
+		this.spawnZones = {};
+
+		getMapObjects(this.map, 'objects', 'spawn_zone').forEach((obj) => {
+			this.spawnZones[obj.name] = getObjectBounds(obj);
 		});
+	}
 
-		// Add enemy to tracking array
-		this.enemies.push(enemy);
+	// Get every spawn zone, or the whole map if it defines none
+	getAllSpawnZones() {
+		const zones = Object.values(this.spawnZones);
+		if (zones.length > 0) return zones;
+
+		return [
+			{
+				x: 0,
+				y: 0,
+				width: this.map.widthInPixels,
+				height: this.map.heightInPixels,
+			},
+		];
 	}
 
-	// Find a valid spawn point on the map (not on walls or items)
-	getValidSpawnPoint() {
-		const mapWidth = this.map.widthInPixels;
-		const mapHeight = this.map.heightInPixels;
-		const minDistanceFromPlayer = 100;
-		let x,
-			y,
-			validPosition = false;
-		let attempts = 0;
-
-		// Try to find a valid position
-		while (!validPosition && attempts < 50) {
-			attempts++;
-
-			// Generate random position within map bounds
-			x = Phaser.Math.Between(50, mapWidth - 50);
-			y = Phaser.Math.Between(50, mapHeight - 50);
-
-			// Calculate distance to player
-			const distanceToPlayer = Phaser.Math.Distance.Between(
-				x,
-				y,
-				this.player.x,
-				this.player.y
-			);
+	// Check if an enemy can be placed on a tile (floor without walls or items)
+	isSpawnableTile(tileX, tileY) {
+		if (!this.groundLayer.hasTileAt(tileX, tileY)) return false;
 
-			// Check if position is valid (not on wall or item)
-			const tileX = this.map.worldToTileX(x);
-			const tileY = this.map.worldToTileY(y);
+		const wallTile = this.wallsLayer.getTileAt(tileX, tileY);
+		const itemTile = this.itemsLayer.getTileAt(tileX, tileY);
 
-			const wallTile = this.wallsLayer.getTileAt(tileX, tileY);
-			const itemTile = this.itemsLayer.getTileAt(tileX, tileY);
+		return (
+			(!wallTile ||
+				!wallTile.properties ||
+				!wallTile.properties.collides) &&
+			(!itemTile ||
+				!itemTile.properties ||
+				!itemTile.properties.breakable)
+		);
+	}
 
-			if (
-				(!wallTile ||
-					!wallTile.properties ||
-					!wallTile.properties.collides) &&
-				(!itemTile ||
-					!itemTile.properties ||
-					!itemTile.properties.breakable) &&
-				distanceToPlayer > minDistanceFromPlayer
-			) {
-				validPosition = true;
+	// Find a valid spawn point inside a spawn zone (not on walls or items).
+	// Without a zone, any of the map's spawn zones can be used.
+	getValidSpawnPoint(zone = null) {
+		const zones = zone ? [zone] : this.getAllSpawnZones();
+		const minDistanceFromPlayer = 100;
+		const candidates = [];
+
+		// Collect the centers of all free tiles inside the zones
+		for (const bounds of zones) {
+			const startX = this.map.worldToTileX(bounds.x);
+			const startY = this.map.worldToTileY(bounds.y);
+			const endX = this.map.worldToTileX(bounds.x + bounds.width - 1);
+			const endY = this.map.worldToTileY(bounds.y + bounds.height - 1);
+
+			for (let tileY = startY; tileY <= endY; tileY++) {
+				for (let tileX = startX; tileX <= endX; tileX++) {
+					if (!this.isSpawnableTile(tileX, tileY)) continue;
+
+					const x =
+						this.map.tileToWorldX(tileX) + this.map.tileWidth / 2;
+					const y =
+						this.map.tileToWorldY(tileY) + this.map.tileHeight / 2;
+
+					// Keep enemies from spawning on top of the player
+					const distanceToPlayer = Phaser.Math.Distance.Between(
+						x,
+						y,
+						this.player.x,
+						this.player.y
+					);
+					if (distanceToPlayer > minDistanceFromPlayer) {
+						candidates.push({ x, y });
+					}
+				}
 			}
 		}
 
-		// If no valid position found after max attempts, use a default position
-		if (!validPosition) {
-			// Use a position away from the player
-			const angle = Math.random() * Math.PI * 2;
-			x = this.player.x + Math.cos(angle) * 150;
-			y = this.player.y + Math.sin(angle) * 150;
+		if (candidates.length > 0) {
+			return this.rng.pick(candidates);
 		}
 
-		return { x, y };
+		// If no free tile was found, use a position away from the player
+		const angle = this.rng.angle();
+		return {
+			x: this.player.x + Math.cos(angle) * 150,
+			y: this.player.y + Math.sin(angle) * 150,
+		};
 	}
 
-	// Collision callback: when enemy touches player, flash red and knock back the player
+	// Check that no colliding wall tile lies on the line between two points
+	hasLineOfSight(x1, y1, x2, y2) {
+		const line = new Phaser.Geom.Line(x1, y1, x2, y2);
+		const tiles = this.wallsLayer.getTilesWithinShape(line, {
+			isColliding: true,
+		});
+
+		return tiles.length === 0;
+	}
+
+	// Collision callback: when enemy touches player, flash red and knock back the
+	// player as hard as the enemy type strikes (see Enemy strike)
 	playerHit(player, enemy) {
+		// Most enemies only hurt the player while attacking
+		if (!enemy.canHurtPlayer()) return;
+
 		// Flash the player red
 		player.setTint(0xff0000);
 		this.time.addEvent({
 			delay: 100, // flash duration (milliseconds)
 			callback: () => {
-				player.clearTint();
+				player.resetTint();
 			},
 		});
 		// Calculate knockback: determine the angle from the enemy to the player
@@ -653,12 +1901,13 @@ export default class GameScene extends Phaser.Scene {
 			player.x,
 			player.y
 		);
-		const knockbackSpeed = 300;
+		const strike = enemy.strike;
 
 		// Use the player's knockback method instead of directly setting velocity
 		player.knockback(
-			Math.cos(angle) * knockbackSpeed,
-			Math.sin(angle) * knockbackSpeed
+			Math.cos(angle) * strike.knockback,
+			Math.sin(angle) * strike.knockback,
+			strike.stun
 		);
 
 		// Create hit effect at collision point
@@ -668,8 +1917,11 @@ export default class GameScene extends Phaser.Scene {
 			player.y - Math.sin(angle) * 10
 		);
 
-		// Damage the player
-		this.damagePlayer();
+		// Damage the player, and poison them or the like if the enemy does
+		this.damagePlayer(strike.damage);
+		if (strike.status && !this.playerShielded) {
+			player.applyStatus(strike.status);
+		}
 	}
 
 	// Collision callback: when sword hits enemy
@@ -698,14 +1950,65 @@ export default class GameScene extends Phaser.Scene {
 		}
 	}
 
-	update() {
-		// Skip update if game is paused
+	// Overlap callback: enemy projectile hits the player
+	projectileHitPlayer(player, projectile) {
+		// Reflected projectiles only hurt enemies, dashing dodges the others
+		if (projectile.reflected || player.isDashing) return;
+
+		createHitEffect(this, projectile.x, projectile.y);
+		projectile.despawn();
+
+		this.damagePlayer(projectile.playerDamage);
+	}
+
+	// Overlap callback: the sword reflects projectiles back at enemies
+	swordHitProjectile(swordHitbox, projectile) {
+		if (projectile.reflected || !this.player.isAttacking) return;
+
+		projectile.reflect(this.player.x, this.player.y);
+		createHitEffect(this, projectile.x, projectile.y);
+	}
+
+	// Overlap callback: a reflected projectile hits an enemy
+	projectileHitEnemy(enemy, projectile) {
+		if (!projectile.reflected || enemy.isDying) return;
+
+		createHitEffect(this, projectile.x, projectile.y);
+		projectile.despawn();
+
+		// Flash the enemy red
+		enemy.setTint(0xff0000);
+		this.time.delayedCall(150, () => {
+			enemy.resetTint();
+		});
+
+		enemy.takeDamage({ amount: projectile.damage, type: 'magic' });
+	}
+
+	update(time, delta) {
+		// Skip update if game is paused, a boss is being introduced
+		// or the player is choosing whether to continue a saved run
 		if (this.ui && this.ui.isPaused) return;
+		if (this.bossIntroPlaying || this.continuePromptOpen) return;
+
+		// Everything waits while an upgrade is being picked
+		if (this.upgradeChoices) {
+			this.updateUpgradeChoice(this.frameInput);
+			return;
+		}
+
+		// Advance game time (wave and gameplay timers, invulnerability)
+		this.gameClock.advance(delta);
 
-		this.player.update();
+		this.player.update(this.frameInput);
+		this.handleItemInput(this.frameInput);
+		this.ui.updateStatusEffects(
+			this.player.status.getActive(this.gameClock.now())
+		);
 
-		// Update all enemies
+		// Update all enemies; stunned ones only have their status effects tick
 		for (const enemy of this.enemies) {
+			enemy.updateStatus();
 			if (!enemy.stunned) {
 				enemy.update();
 			}
@@ -720,6 +2023,6 @@ export default class GameScene extends Phaser.Scene {
 		}
 
 		// Update torches if they have any dynamic behavior
-		this.torches.forEach((torch) => torch.update());
+		this.torches.forEach((torch) => torch.update(time, delta));
 	}
 }
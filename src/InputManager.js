@@ -0,0 +1,431 @@
+// InputManager.js - Action-based input (move, attack, pause, interact, items,
+// confirm, saved run choices) from the keyboard, with keys that can be
+// rebound, from gamepads and from the on-screen touch controls
+import { AXIS_STEPS, quantizeAngle } from './core/InputRecorder.js';
+
+const BINDINGS_KEY = 'phaser3-game-demo-keys';
+
+// Default keys of each action (Phaser key names, see Phaser.Input.Keyboard.KeyCodes)
+export const DEFAULT_BINDINGS = {
+	left: ['LEFT', 'A'],
+	right: ['RIGHT', 'D'],
+	up: ['UP', 'W'],
+	down: ['DOWN', 'S'],
+	attack: ['SPACE', 'J'],
+	dash: ['SHIFT', 'K'],
+	swap: ['Q'],
+	interact: ['E'],
+	item1: ['ONE'],
+	item2: ['TWO'],
+	item3: ['THREE'],
+	item4: ['FOUR'],
+	pause: ['ESC', 'P'],
+	confirm: ['SPACE', 'ENTER'],
+	continueRun: ['C'],
+	newRun: ['N'],
+};
+
+// Names of the actions shown in the controls list
+export const ACTION_LABELS = {
+	left: 'Move left',
+	right: 'Move right',
+	up: 'Move up',
+	down: 'Move down',
+	attack: 'Attack',
+	dash: 'Dash',
+	swap: 'Swap weapon',
+	interact: 'Interact',
+	item1: 'Use item 1',
+	item2: 'Use item 2',
+	item3: 'Use item 3',
+	item4: 'Use item 4',
+	pause: 'Pause',
+	confirm: 'Confirm',
+	continueRun: 'Continue saved run',
+	newRun: 'New run',
+};
+
+// Gamepad buttons of each action (standard mapping: 0 A, 1 B, 2 X, 3 Y, 4 LB,
+// 5 RB, 6 LT, 7 RT, 8 Back, 9 Start, 12-15 D-pad); the saved run choices are
+// only read in menus, so they can share buttons with gameplay actions
+const GAMEPAD_BUTTONS = {
+	left: [14],
+	right: [15],
+	up: [12],
+	down: [13],
+	attack: [0],
+	dash: [1, 5],
+	swap: [3],
+	interact: [2],
+	item1: [4],
+	item2: [7],
+	item3: [8],
+	item4: [6],
+	pause: [9],
+	confirm: [0, 9],
+	continueRun: [3],
+	newRun: [2],
+};
+
+// Actions only read in menus; their keys may also be bound to gameplay actions
+const MENU_ACTIONS = ['confirm', 'continueRun', 'newRun'];
+
+// Shorter names of keys whose Phaser name is spelled out
+const KEY_LABELS = {
+	ZERO: '0',
+	ONE: '1',
+	TWO: '2',
+	THREE: '3',
+	FOUR: '4',
+	FIVE: '5',
+	SIX: '6',
+	SEVEN: '7',
+	EIGHT: '8',
+	NINE: '9',
+};
+
+// Load the saved key bindings over the defaults
+function loadBindings() {
+	let saved = {};
+	try {
+		saved = JSON.parse(localStorage.getItem(BINDINGS_KEY)) || {};
+	} catch (error) {
+		console.warn('Could not load the key bindings:', error);
+	}
+
+	const bindings = {};
+	Object.keys(DEFAULT_BINDINGS).forEach((action) => {
+		bindings[action] = Array.isArray(saved[action])
+			? saved[action]
+			: [...DEFAULT_BINDINGS[action]];
+	});
+	return bindings;
+}
+
+export default class InputManager {
+	/**
+	 * @param {Phaser.Scene} scene - The scene to read input in.
+	 * @param {object} [options]
+	 * @param {number} [options.deadzone=0.25] - Stick tilt (0 to 1) ignored around the center.
+	 */
+	constructor(scene, options = {}) {
+		this.scene = scene;
+		this.deadzone =
+			options.deadzone !== undefined ? options.deadzone : 0.25;
+		this.bindings = loadBindings();
+
+		// Per-frame state of each action (see update)
+		this.down = {};
+		this.pressed = {};
+		this.moveX = 0;
+		this.moveY = 0;
+
+		// On-screen controls on touch screens (see setTouchControls)
+		this.touch = null;
+
+		// Aim of this frame (see updateAim); the mouse aims once it has moved
+		// over the game
+		this.aimAngle = null;
+		this.aimPoint = null;
+		this.mouseAim = false;
+		this.cursorHidden = false;
+		scene.input.setDefaultCursor('default');
+		scene.input.on('pointermove', (pointer) => {
+			if (pointer === scene.input.mousePointer) {
+				this.mouseAim = true;
+			}
+		});
+
+		// Callbacks waiting for an action's keys (see onceAction), moved onto
+		// the new keys when the bindings change
+		this.keyListeners = new Set();
+
+		this.bindKeys();
+	}
+
+	// Read the joystick and buttons of a TouchControls too
+	setTouchControls(touch) {
+		this.touch = touch;
+	}
+
+	// Get the Phaser keys of every action. Keys of the old bindings aren't
+	// removed: addKey hands out one shared Key per key code, which other
+	// actions or other code may still be using.
+	bindKeys() {
+		const keyboard = this.scene.input.keyboard;
+		this.keyListeners.forEach(({ action, onKey }) => {
+			this.keys[action].forEach((key) => key.off('down', onKey));
+		});
+
+		this.keys = {};
+		Object.entries(this.bindings).forEach(([action, names]) => {
+			this.keys[action] = names.map((name) => keyboard.addKey(name));
+		});
+
+		this.keyListeners.forEach(({ action, onKey }) => {
+			this.keys[action].forEach((key) => key.on('down', onKey));
+		});
+	}
+
+	// First connected gamepad (whatever its index, which changes when pads
+	// reconnect), if gamepads are enabled
+	getGamepad() {
+		const gamepad = this.scene.input.gamepad;
+		return (gamepad && gamepad.getAll()[0]) || null;
+	}
+
+	isButtonDown(pad, action) {
+		return (GAMEPAD_BUTTONS[action] || []).some(
+			(index) => pad.buttons[index] && pad.buttons[index].pressed
+		);
+	}
+
+	/**
+	 * Read the state of every action, call once per frame.
+	 * @param {object} [aimOrigin] - Where the player aims from ({ x, y } in the
+	 *        world); without it the mouse doesn't aim (e.g. while paused).
+	 */
+	update(aimOrigin) {
+		const pad = this.getGamepad();
+
+		Object.keys(this.bindings).forEach((action) => {
+			const down =
+				this.keys[action].some((key) => key.isDown) ||
+				(pad !== null && this.isButtonDown(pad, action)) ||
+				(this.touch !== null && this.touch.isDown(action));
+
+			this.pressed[action] = down && !this.down[action];
+			this.down[action] = down;
+		});
+
+		// Digital move from the keys and the D-pad...
+		this.moveX = (this.down.right ? 1 : 0) - (this.down.left ? 1 : 0);
+		this.moveY = (this.down.down ? 1 : 0) - (this.down.up ? 1 : 0);
+
+		// ...unless the left stick or the touch joystick is tilted past the deadzone
+		const sticks = [];
+		if (pad) {
+			sticks.push(pad.leftStick);
+		}
+		if (this.touch) {
+			sticks.push({ x: this.touch.stickX, y: this.touch.stickY });
+		}
+
+		sticks.forEach((stick) => {
+			const move = this.applyDeadzone(stick.x, stick.y);
+			if (move.x !== 0 || move.y !== 0) {
+				this.moveX = move.x;
+				this.moveY = move.y;
+			}
+		});
+
+		if (this.touch) {
+			this.touch.clearTaps();
+		}
+
+		this.updateAim(pad, aimOrigin);
+	}
+
+	// Aim with the right stick, or at the mouse pointer once the mouse is used.
+	// Without either the player aims where they move.
+	updateAim(pad, origin) {
+		this.aimAngle = null;
+		this.aimPoint = null;
+
+		const stick = pad
+			? this.applyDeadzone(pad.rightStick.x, pad.rightStick.y)
+			: { x: 0, y: 0 };
+
+		if (stick.x !== 0 || stick.y !== 0) {
+			this.mouseAim = false;
+			this.aimAngle = quantizeAngle(Math.atan2(stick.y, stick.x));
+		} else if (this.mouseAim && origin) {
+			const point = this.scene.input.mousePointer.positionToCamera(
+				this.scene.cameras.main
+			);
+			this.aimPoint = { x: point.x, y: point.y };
+			this.aimAngle = quantizeAngle(
+				Math.atan2(point.y - origin.y, point.x - origin.x)
+			);
+		}
+
+		// The crosshair replaces the mouse cursor while aiming
+		const hideCursor = this.aimPoint !== null;
+		if (hideCursor !== this.cursorHidden) {
+			this.cursorHidden = hideCursor;
+			this.scene.input.setDefaultCursor(hideCursor ? 'none' : 'default');
+		}
+	}
+
+	// Ignore small stick tilts and rescale the rest to start from 0
+	applyDeadzone(x, y) {
+		const length = Math.hypot(x, y);
+		if (length < this.deadzone) return { x: 0, y: 0 };
+
+		// Rounded to the steps the input recorder keeps, so replays match
+		const scale =
+			Math.min(1, (length - this.deadzone) / (1 - this.deadzone)) /
+			length;
+		return {
+			x: Math.round(x * scale * AXIS_STEPS) / AXIS_STEPS,
+			y: Math.round(y * scale * AXIS_STEPS) / AXIS_STEPS,
+		};
+	}
+
+	// Whether an action is held this frame
+	isDown(action) {
+		return !!this.down[action];
+	}
+
+	// Whether an action was pressed this frame
+	isPressed(action) {
+		return !!this.pressed[action];
+	}
+
+	// Input of the player for this frame (see Player.update)
+	getPlayerInput() {
+		return {
+			moveX: this.moveX,
+			moveY: this.moveY,
+			attack: this.isPressed('attack'),
+			attackHeld: this.isDown('attack'),
+			dash: this.isPressed('dash'),
+			swap: this.isPressed('swap'),
+			interact: this.isPressed('interact'),
+			item1: this.isPressed('item1'),
+			item2: this.isPressed('item2'),
+			item3: this.isPressed('item3'),
+			item4: this.isPressed('item4'),
+			aimAngle: this.aimAngle,
+			aimPoint: this.aimPoint,
+		};
+	}
+
+	/**
+	 * Call back once an action's key or gamepad button is pressed (for menus,
+	 * which don't wait for the next frame).
+	 * @returns {function} - Cancels the callback.
+	 */
+	onceAction(action, callback) {
+		const buttons = GAMEPAD_BUTTONS[action] || [];
+		const gamepad = this.scene.input.gamepad;
+
+		const cancel = () => {
+			this.keyListeners.delete(listener);
+			this.keys[action].forEach((key) => key.off('down', onKey));
+			if (gamepad) gamepad.off('down', onButton);
+		};
+		const onKey = () => {
+			cancel();
+			callback();
+		};
+		const onButton = (pad, button) => {
+			if (buttons.includes(button.index)) {
+				cancel();
+				callback();
+			}
+		};
+
+		const listener = { action, onKey };
+		this.keyListeners.add(listener);
+		this.keys[action].forEach((key) => key.on('down', onKey));
+		if (gamepad) gamepad.on('down', onButton);
+
+		return cancel;
+	}
+
+	// Names of the keys bound to an action
+	getBindings(action) {
+		return this.bindings[action];
+	}
+
+	// Readable name of an action's main key, e.g. 'Space' or '1'
+	getKeyLabel(action) {
+		const name = this.bindings[action][0] || '';
+		if (KEY_LABELS[name]) return KEY_LABELS[name];
+
+		return name.charAt(0) + name.slice(1).toLowerCase();
+	}
+
+	// Another action the key is bound to that can't share it (gameplay
+	// actions with each other, menu actions with each other), if any
+	findConflict(action, keyName) {
+		const isMenu = MENU_ACTIONS.includes(action);
+		return Object.keys(this.bindings).find(
+			(other) =>
+				other !== action &&
+				MENU_ACTIONS.includes(other) === isMenu &&
+				this.bindings[other].includes(keyName)
+		);
+	}
+
+	/**
+	 * Replace the main key of an action (other keys of the action stay bound)
+	 * and save the bindings. A key already bound to a conflicting action is
+	 * refused.
+	 * @param {string} action - The action to rebind.
+	 * @param {string} keyName - Phaser key name, e.g. 'K' or 'SHIFT'.
+	 * @returns {boolean} - Whether the key was bound.
+	 */
+	rebind(action, keyName) {
+		if (!this.bindings[action]) {
+			throw new Error(`Unknown input action '${action}'.`);
+		}
+
+		const conflict = this.findConflict(action, keyName);
+		if (conflict) {
+			console.warn(
+				`Not binding ${keyName} to '${action}': it is already bound to '${conflict}'.`
+			);
+			return false;
+		}
+
+		this.bindings[action] = [
+			keyName,
+			...this.bindings[action]
+				.slice(1)
+				.filter((name) => name !== keyName),
+		];
+		this.saveBindings();
+		this.bindKeys();
+		return true;
+	}
+
+	// Wait for the next key press and make it the main key of an action; the
+	// callback gets the key's name, or null if it couldn't be bound
+	captureKey(action, callback) {
+		const keyboard = this.scene.input.keyboard;
+		const codes = Phaser.Input.Keyboard.KeyCodes;
+
+		keyboard.once('keydown', (event) => {
+			const keyName = Object.keys(codes).find(
+				(name) => codes[name] === event.keyCode
+			);
+			const bound = keyName ? this.rebind(action, keyName) : false;
+
+			// The captured key shouldn't trigger an action until it's pressed again
+			Object.keys(this.bindings).forEach((name) => {
+				this.down[name] = true;
+			});
+
+			callback(bound ? keyName : null);
+		});
+	}
+
+	// Go back to the default keys
+	resetBindings() {
+		Object.keys(DEFAULT_BINDINGS).forEach((action) => {
+			this.bindings[action] = [...DEFAULT_BINDINGS[action]];
+		});
+		this.saveBindings();
+		this.bindKeys();
+	}
+
+	saveBindings() {
+		try {
+			localStorage.setItem(BINDINGS_KEY, JSON.stringify(this.bindings));
+		} catch (error) {
+			console.warn('Could not save the key bindings:', error);
+		}
+	}
+}
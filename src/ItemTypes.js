@@ -0,0 +1,85 @@
+// ItemTypes.js - Configuration for every item the player can carry in the
+// inventory (see core/Inventory.js)
+//
+// An item has:
+//   name: shown in the inventory panel
+//   texture, frame: icon in the inventory panel
+//   max: most that can be carried
+//   effect: what using it does ('heal', 'speed', 'shield', 'bomb'), or
+//           'key' for keys, which are used on locked exits instead
+// plus the settings of its effect (amount healed, power-up duration...).
+export const ITEM_TYPES = {
+	potion: {
+		name: 'Potion',
+		texture: 'tile-items',
+		frame: 7,
+		max: 3,
+		effect: 'heal',
+		amount: 2,
+	},
+	speed_potion: {
+		name: 'Speed potion',
+		texture: 'tile-items',
+		frame: 6,
+		max: 3,
+		effect: 'speed',
+		multiplier: 1.5,
+		duration: 8000,
+	},
+	shield_potion: {
+		name: 'Shield potion',
+		texture: 'tile-items',
+		frame: 8,
+		max: 3,
+		effect: 'shield',
+		duration: 5000,
+	},
+
+	// Explodes after its fuse, hurting everything around it (the player
+	// too) and breaking items
+	bomb: {
+		name: 'Bomb',
+		texture: 'item-bomb',
+		max: 5,
+		effect: 'bomb',
+		fuse: 1500,
+		radius: 32,
+		damage: 30,
+		knockback: 300,
+	},
+
+	// Opens a locked exit
+	key: {
+		name: 'Key',
+		texture: 'tile-items',
+		frame: 5,
+		max: 9,
+		effect: 'key',
+	},
+};
+
+// Items used by the item hotkeys, in order (the 'item1' to 'item4' input actions)
+export const ITEM_SLOTS = ['potion', 'speed_potion', 'shield_potion', 'bomb'];
+
+/**
+ * Get a copy of the configuration for an item type.
+ * @param {string} type - The item type key (e.g. 'bomb').
+ * @returns {object} - The item config, with its type key as `itemType`.
+ */
+export function getItemConfig(type) {
+	const config = ITEM_TYPES[type];
+	if (!config) {
+		throw new Error(`Unknown item type '${type}'.`);
+	}
+
+	return { ...config, itemType: type };
+}
+
+// Most of each item that can be carried, by item type (for Inventory)
+export function getItemLimits() {
+	const limits = {};
+	Object.entries(ITEM_TYPES).forEach(([type, config]) => {
+		limits[type] = config.max;
+	});
+	return limits;
+}
@@ -0,0 +1,171 @@
+// Lighting.js - Darkness over the dungeon with soft round lights cut out of it
+// (torches, the player's lantern, explosions)
+//
+// The darkness is a render texture covering the camera view, redrawn every
+// frame: filled with the darkness color, then every light erases a radial
+// gradient from it. Render textures work with both the WebGL and the Canvas
+// renderer.
+
+// Size of the radial gradient texture that lights are drawn with
+const LIGHT_TEXTURE_SIZE = 128;
+
+// Create the radial gradient texture of the lights (white, opaque at the
+// center and fading out to the edge)
+export function createLightTexture(scene) {
+	if (scene.textures.exists('light')) return;
+
+	const size = LIGHT_TEXTURE_SIZE;
+	const texture = scene.textures.createCanvas('light', size, size);
+	const context = texture.getContext();
+
+	const gradient = context.createRadialGradient(
+		size / 2,
+		size / 2,
+		0,
+		size / 2,
+		size / 2,
+		size / 2
+	);
+	gradient.addColorStop(0, 'rgba(255, 255, 255, 1)');
+	gradient.addColorStop(0.4, 'rgba(255, 255, 255, 0.8)');
+	gradient.addColorStop(1, 'rgba(255, 255, 255, 0)');
+
+	context.fillStyle = gradient;
+	context.fillRect(0, 0, size, size);
+	texture.refresh();
+}
+
+export default class Lighting {
+	/**
+	 * @param {Phaser.Scene} scene - The scene to darken.
+	 * @param {object} [options]
+	 * @param {number} [options.darkness=0.8] - Opacity of the darkness where no light reaches (0-1).
+	 * @param {number} [options.color=0x05030a] - Color of the darkness.
+	 * @param {number} [options.depth=40] - Depth of the darkness (what is drawn above it stays lit).
+	 */
+	constructor(scene, options = {}) {
+		this.scene = scene;
+		this.darkness = options.darkness !== undefined ? options.darkness : 0.8;
+		this.color = options.color !== undefined ? options.color : 0x05030a;
+
+		createLightTexture(scene);
+
+		// Fixed to the camera, so it covers the view wherever it scrolls (the
+		// zoom scales it around the center like the rest of the view)
+		const camera = scene.cameras.main;
+		this.darknessLayer = scene.add.renderTexture(
+			0,
+			0,
+			camera.width,
+			camera.height
+		);
+		this.darknessLayer.setOrigin(0);
+		this.darknessLayer.setScrollFactor(0);
+		this.darknessLayer.setDepth(
+			options.depth !== undefined ? options.depth : 40
+		);
+
+		// Lights to cut out of the darkness (see addLight)
+		this.lights = new Set();
+	}
+
+	/**
+	 * Add a light; change its properties to move it, dim it or resize it.
+	 * @param {number} x - The x position in the world.
+	 * @param {number} y - The y position in the world.
+	 * @param {object} [config]
+	 * @param {number} [config.radius=60] - Distance the light reaches.
+	 * @param {number} [config.intensity=1] - How much of the darkness it removes at its center (0-1).
+	 * @param {Phaser.GameObjects.Components.Transform} [config.follow] - Object the light moves with (optional).
+	 * @returns {object} - The light { x, y, radius, intensity, follow }.
+	 */
+	addLight(x, y, config = {}) {
+		const light = {
+			x,
+			y,
+			radius: config.radius || 60,
+			intensity: config.intensity !== undefined ? config.intensity : 1,
+			follow: config.follow || null,
+		};
+		this.lights.add(light);
+
+		return light;
+	}
+
+	removeLight(light) {
+		this.lights.delete(light);
+	}
+
+	/**
+	 * Light up an area for a moment (explosions): the light grows quickly,
+	 * then fades out and is removed.
+	 * @param {number} x - The x position in the world.
+	 * @param {number} y - The y position in the world.
+	 * @param {number} radius - Distance the light reaches at its largest.
+	 * @param {number} [duration=400] - Time in ms until it has faded out.
+	 */
+	flash(x, y, radius, duration = 400) {
+		const light = this.addLight(x, y, { radius: radius / 2 });
+
+		this.scene.tweens.add({
+			targets: light,
+			radius,
+			duration: duration / 4,
+			ease: 'Quad.easeOut',
+		});
+		this.scene.tweens.add({
+			targets: light,
+			intensity: 0,
+			delay: duration / 4,
+			duration: (duration * 3) / 4,
+			onComplete: () => {
+				this.removeLight(light);
+			},
+		});
+
+		return light;
+	}
+
+	// Redraw the darkness with every light cut out of it; call once per frame
+	update() {
+		const layer = this.darknessLayer;
+		const camera = this.scene.cameras.main;
+
+		layer.clear();
+		layer.fill(this.color, this.darkness);
+
+		this.lights.forEach((light) => {
+			// Lights on destroyed objects go out
+			if (light.follow) {
+				if (!light.follow.scene) {
+					this.lights.delete(light);
+					return;
+				}
+				light.x = light.follow.x;
+				light.y = light.follow.y;
+			}
+
+			if (light.intensity <= 0 || light.radius <= 0) return;
+
+			// The layer doesn't scroll, so world positions are offset by the
+			// camera scroll
+			layer.stamp(
+				'light',
+				undefined,
+				light.x - camera.scrollX,
+				light.y - camera.scrollY,
+				{
+					scale: (light.radius * 2) / LIGHT_TEXTURE_SIZE,
+					alpha: light.intensity,
+					erase: true,
+				}
+			);
+		});
+	}
+
+	// Remove the darkness and every light
+	destroy() {
+		this.lights.clear();
+		this.darknessLayer.destroy();
+	}
+}
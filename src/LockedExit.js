@@ -0,0 +1,57 @@
+// LockedExit.js - A lock on an exit; the player opens it with a key from the
+// inventory by using the interact action next to it
+import SpriteItem from './SpriteItem.js';
+import { createFloatingText } from './Effects.js';
+
+export default class LockedExit extends SpriteItem {
+	/**
+	 * Takes the same config as SpriteItem, plus:
+	 * @param {function} config.onUnlock - Called once a key opens the lock.
+	 */
+	constructor(scene, x, y, config) {
+		super(scene, x, y, {
+			texture: 'item-lock',
+			depth: 5,
+			type: 'lock',
+			interactive: true,
+			interactRange: 28,
+			...config,
+		});
+
+		this.onUnlock = config.onUnlock;
+	}
+
+	get isLocked() {
+		return this.isInteractive;
+	}
+
+	// Use up a key to open the lock
+	onInteract() {
+		if (!this.scene.removeItem('key')) {
+			createFloatingText(this.scene, this.x, this.y - 10, 'Needs a key');
+			return;
+		}
+
+		this.isInteractive = false;
+		createFloatingText(
+			this.scene,
+			this.x,
+			this.y - 10,
+			'Unlocked!',
+			'#ffdd44'
+		);
+
+		// Drop the lock and fade it out
+		this.scene.tweens.add({
+			targets: this,
+			y: this.y + 6,
+			alpha: 0,
+			duration: 300,
+			onComplete: () => {
+				this.destroy();
+			},
+		});
+
+		this.onUnlock();
+	}
+}
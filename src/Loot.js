@@ -0,0 +1,50 @@
+// Loot.js - Helpers to roll the weighted loot tables of breakable items and enemies
+
+/**
+ * Roll a loot table once and get the pickups it drops.
+ * @param {object[]} table - Entries { item, weight, count }. An entry without
+ *        an item drops nothing; weight defaults to 1 and count is a number or
+ *        a [min, max] range (defaults to 1).
+ * @param {Random} rng - The run's random generator (see core/Random.js).
+ * @returns {string[]} - Pickup type keys, one per dropped pickup.
+ */
+export function rollLoot(table, rng) {
+	const totalWeight = table.reduce(
+		(sum, entry) => sum + (entry.weight || 1),
+		0
+	);
+
+	// Walk the entries until the roll falls inside one of them
+	let roll = rng.float(0, totalWeight);
+	const entry = table.find((candidate) => {
+		roll -= candidate.weight || 1;
+		return roll < 0;
+	});
+	if (!entry || !entry.item) return [];
+
+	const count = Array.isArray(entry.count)
+		? rng.between(entry.count[0], entry.count[1])
+		: entry.count || 1;
+
+	return new Array(count).fill(entry.item);
+}
+
+/**
+ * Look up the loot table of a breakable tile or an enemy type.
+ * @param {object} lootData - The loot script (assets/loot/loot.json).
+ * @param {string} source - 'tiles' (keyed by tile index) or 'enemies' (keyed by enemy type).
+ * @param {string|number} key - The tile index or enemy type.
+ * @returns {object[]|null} - The loot table, or null if nothing drops.
+ */
+export function getLootTable(lootData, source, key) {
+	const tableName = (lootData[source] || {})[key];
+	if (!tableName) return null;
+
+	const table = lootData.tables[tableName];
+	if (!table) {
+		console.warn(`Unknown loot table '${tableName}'`);
+		return null;
+	}
+
+	return table;
+}
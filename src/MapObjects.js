@@ -0,0 +1,62 @@
+// MapObjects.js - Helpers for reading objects placed in Tiled object layers
+
+/**
+ * Get all objects of a Tiled object layer, optionally filtered by type.
+ * @param {Phaser.Tilemaps.Tilemap} map - The tilemap to read from.
+ * @param {string} layerName - Name of the object layer (e.g. 'objects').
+ * @param {string} [type] - Only return objects with this type (optional).
+ * @returns {object[]} - The raw Tiled objects (empty if the layer is missing).
+ */
+export function getMapObjects(map, layerName, type) {
+	const layer = map.getObjectLayer(layerName);
+	if (!layer) return [];
+
+	return type
+		? layer.objects.filter((obj) => obj.type === type)
+		: layer.objects;
+}
+
+/**
+ * Convert the Tiled custom properties array of an object into a plain object.
+ * Color properties are converted to a hex number (e.g. 0xff6600).
+ * @param {object} obj - A Tiled object.
+ * @returns {object} - Map of property name to value.
+ */
+export function getObjectProperties(obj) {
+	const properties = {};
+	if (!obj || !Array.isArray(obj.properties)) return properties;
+
+	for (const property of obj.properties) {
+		properties[property.name] =
+			property.type === 'color'
+				? parseTiledColor(property.value)
+				: property.value;
+	}
+
+	return properties;
+}
+
+/**
+ * Parse a Tiled color string ('#aarrggbb' or '#rrggbb') into a hex number.
+ * The alpha channel is ignored.
+ * @param {string} value - The Tiled color string.
+ * @returns {number} - The color as 0xrrggbb.
+ */
+export function parseTiledColor(value) {
+	const hex = value.replace('#', '');
+	return parseInt(hex.slice(-6), 16);
+}
+
+/**
+ * Get the rectangle covered by a Tiled object.
+ * @param {object} obj - A Tiled rectangle object.
+ * @returns {object} - { x, y, width, height } in pixels.
+ */
+export function getObjectBounds(obj) {
+	return {
+		x: obj.x,
+		y: obj.y,
+		width: obj.width,
+		height: obj.height,
+	};
+}
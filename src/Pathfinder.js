@@ -0,0 +1,204 @@
+// Pathfinder.js - A* pathfinding over a grid of blocked/walkable tiles
+export default class Pathfinder {
+	/**
+	 * @param {number} width - Grid width in tiles.
+	 * @param {number} height - Grid height in tiles.
+	 * @param {function} isBlocked - Called with (tileX, tileY) for every tile,
+	 *        returns true if the tile cannot be walked on.
+	 */
+	constructor(width, height, isBlocked) {
+		this.width = width;
+		this.height = height;
+
+		// One entry per tile, true if blocked
+		this.blocked = new Array(width * height);
+		for (let y = 0; y < height; y++) {
+			for (let x = 0; x < width; x++) {
+				this.blocked[y * width + x] = Boolean(isBlocked(x, y));
+			}
+		}
+
+		// Incremented whenever the grid changes so paths can be recomputed
+		this.version = 0;
+	}
+
+	isInside(x, y) {
+		return x >= 0 && y >= 0 && x < this.width && y < this.height;
+	}
+
+	isBlocked(x, y) {
+		return !this.isInside(x, y) || this.blocked[y * this.width + x];
+	}
+
+	/**
+	 * Mark a tile as blocked or walkable (e.g. when a crate is destroyed).
+	 * @param {number} x - Tile x.
+	 * @param {number} y - Tile y.
+	 * @param {boolean} blocked - Whether the tile blocks movement.
+	 */
+	setBlocked(x, y, blocked) {
+		if (!this.isInside(x, y)) return;
+
+		this.blocked[y * this.width + x] = blocked;
+		this.version++;
+	}
+
+	/**
+	 * Find the shortest path between two tiles. Diagonal steps are allowed
+	 * but never cut the corner of a blocked tile.
+	 * @param {object} start - Start tile { x, y } (may itself be blocked).
+	 * @param {object} goal - Goal tile { x, y }.
+	 * @returns {object[]|null} - Tiles from start to goal, or null if there is no path.
+	 */
+	findPath(start, goal) {
+		if (
+			!this.isInside(start.x, start.y) ||
+			this.isBlocked(goal.x, goal.y)
+		) {
+			return null;
+		}
+
+		const startIndex = start.y * this.width + start.x;
+		const goalIndex = goal.y * this.width + goal.x;
+
+		const cameFrom = new Map();
+		const costs = new Map([[startIndex, 0]]);
+		const closed = new Set();
+		const open = new MinHeap();
+		open.push(startIndex, this.heuristic(start, goal));
+
+		while (open.size > 0) {
+			const current = open.pop();
+			if (current === goalIndex) {
+				return this.buildPath(cameFrom, current);
+			}
+			if (closed.has(current)) continue;
+			closed.add(current);
+
+			const x = current % this.width;
+			const y = Math.floor(current / this.width);
+
+			for (const [dx, dy] of NEIGHBOURS) {
+				const nx = x + dx;
+				const ny = y + dy;
+				if (this.isBlocked(nx, ny)) continue;
+
+				// Don't squeeze diagonally between two blocked tiles or past a corner
+				if (
+					dx !== 0 &&
+					dy !== 0 &&
+					(this.isBlocked(x + dx, y) || this.isBlocked(x, y + dy))
+				) {
+					continue;
+				}
+
+				const next = ny * this.width + nx;
+				if (closed.has(next)) continue;
+
+				const cost =
+					costs.get(current) +
+					(dx !== 0 && dy !== 0 ? Math.SQRT2 : 1);
+				if (!costs.has(next) || cost < costs.get(next)) {
+					costs.set(next, cost);
+					cameFrom.set(next, current);
+					open.push(
+						next,
+						cost + this.heuristic({ x: nx, y: ny }, goal)
+					);
+				}
+			}
+		}
+
+		return null;
+	}
+
+	// Octile distance: the exact cost on an open grid with diagonal steps
+	heuristic(a, b) {
+		const dx = Math.abs(a.x - b.x);
+		const dy = Math.abs(a.y - b.y);
+		return Math.max(dx, dy) + (Math.SQRT2 - 1) * Math.min(dx, dy);
+	}
+
+	buildPath(cameFrom, end) {
+		const path = [];
+		let current = end;
+
+		while (current !== undefined) {
+			path.unshift({
+				x: current % this.width,
+				y: Math.floor(current / this.width),
+			});
+			current = cameFrom.get(current);
+		}
+
+		return path;
+	}
+}
+
+const NEIGHBOURS = [
+	[1, 0],
+	[-1, 0],
+	[0, 1],
+	[0, -1],
+	[1, 1],
+	[1, -1],
+	[-1, 1],
+	[-1, -1],
+];
+
+// Binary heap of tile indices ordered by priority (lowest first)
+class MinHeap {
+	constructor() {
+		this.items = [];
+	}
+
+	get size() {
+		return this.items.length;
+	}
+
+	push(value, priority) {
+		const items = this.items;
+		items.push({ value, priority });
+
+		let i = items.length - 1;
+		while (i > 0) {
+			const parent = (i - 1) >> 1;
+			if (items[parent].priority <= items[i].priority) break;
+			[items[parent], items[i]] = [items[i], items[parent]];
+			i = parent;
+		}
+	}
+
+	pop() {
+		const items = this.items;
+		const top = items[0];
+		const last = items.pop();
+
+		if (items.length > 0) {
+			items[0] = last;
+			let i = 0;
+			for (;;) {
+				const left = i * 2 + 1;
+				const right = left + 1;
+				let smallest = i;
+				if (
+					left < items.length &&
+					items[left].priority < items[smallest].priority
+				) {
+					smallest = left;
+				}
+				if (
+					right < items.length &&
+					items[right].priority < items[smallest].priority
+				) {
+					smallest = right;
+				}
+				if (smallest === i) break;
+				[items[smallest], items[i]] = [items[i], items[smallest]];
+				i = smallest;
+			}
+		}
+
+		return top.value;
+	}
+}
@@ -0,0 +1,110 @@
+// Pickup.js - A dropped item the player collects by walking over it
+import SpriteItem from './SpriteItem.js';
+
+export default class Pickup extends SpriteItem {
+	/**
+	 * Takes the same config as SpriteItem, plus:
+	 * @param {string} config.pickupType - The pickup type key (see PickupTypes.js).
+	 * @param {string} config.effect - What collecting it does ('heal', 'coins', 'item' or 'weapon').
+	 * @param {number} [config.amount=1] - Hearts healed, coins gained or items added.
+	 * @param {string} [config.item] - Item type added to the inventory by item pickups.
+	 * @param {string} [config.weapon] - Weapon type equipped by weapon pickups.
+	 * @param {number} [config.lifespan=15000] - Time in ms before the pickup disappears.
+	 */
+	constructor(scene, x, y, config) {
+		super(scene, x, y, { depth: 5, type: 'pickup', ...config });
+
+		scene.physics.add.existing(this);
+
+		this.pickupType = config.pickupType;
+		this.effect = config.effect;
+		this.amount = config.amount || 1;
+		this.pickupConfig = config;
+		this.lifespan = config.lifespan || 15000;
+		this.collected = false;
+		this.popTweens = [];
+
+		// Blink for the last 3 seconds, then disappear (in game time)
+		this.blinkTimer = scene.gameClock.delay(this.lifespan - 3000, () => {
+			this.blinkTween = scene.tweens.add({
+				targets: this,
+				alpha: 0.2,
+				duration: 150,
+				yoyo: true,
+				repeat: -1,
+			});
+		});
+		this.expireTimer = scene.gameClock.delay(this.lifespan, () => {
+			this.destroy();
+		});
+	}
+
+	// Pop out of where the pickup dropped and land on a spot, then bob in place
+	popTo(x, y) {
+		this.popTweens = [
+			this.scene.tweens.add({
+				targets: this,
+				x,
+				duration: 300,
+			}),
+			this.scene.tweens.add({
+				targets: this,
+				y,
+				duration: 300,
+				ease: 'Back.Out',
+				onComplete: () => {
+					this.startBobbing();
+				},
+			}),
+		];
+	}
+
+	startBobbing() {
+		this.bobTween = this.scene.tweens.add({
+			targets: this,
+			y: this.y - 2,
+			duration: 600,
+			ease: 'Sine.InOut',
+			yoyo: true,
+			repeat: -1,
+		});
+	}
+
+	// Play the collect animation and remove the pickup
+	collect() {
+		this.collected = true;
+		this.body.enable = false;
+		this.stopTweens();
+
+		this.scene.tweens.add({
+			targets: this,
+			y: this.y - 12,
+			alpha: 0,
+			scale: this.scale * 1.5,
+			duration: 250,
+			onComplete: () => {
+				this.destroy();
+			},
+		});
+	}
+
+	// Stop the movement and blink tweens and the expiry timers
+	stopTweens() {
+		const tweens = [...this.popTweens, this.bobTween, this.blinkTween];
+		tweens.forEach((tween) => {
+			if (tween) tween.stop();
+		});
+
+		this.blinkTimer.cancel();
+		this.expireTimer.cancel();
+	}
+
+	destroy() {
+		// Stop timers and tweens that would touch the destroyed pickup
+		if (this.scene) {
+			this.stopTweens();
+		}
+
+		super.destroy();
+	}
+}
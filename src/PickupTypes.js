@@ -0,0 +1,83 @@
+// PickupTypes.js - Configuration for every pickup that loot tables can drop
+export const PICKUP_TYPES = {
+	// Restores one heart
+	heart: {
+		texture: 'heart',
+		scale: 0.6,
+		effect: 'heal',
+		amount: 1,
+	},
+
+	coin: {
+		texture: 'tile-items',
+		frame: 0,
+		scale: 0.8,
+		effect: 'coins',
+		amount: 1,
+	},
+
+	// Items, put in the inventory (see ItemTypes.js) and left on the ground
+	// when the inventory is full
+	potion: {
+		texture: 'tile-items',
+		frame: 7,
+		scale: 0.8,
+		effect: 'item',
+		item: 'potion',
+	},
+	speed_potion: {
+		texture: 'tile-items',
+		frame: 6,
+		scale: 0.8,
+		effect: 'item',
+		item: 'speed_potion',
+	},
+	shield_potion: {
+		texture: 'tile-items',
+		frame: 8,
+		scale: 0.8,
+		effect: 'item',
+		item: 'shield_potion',
+	},
+	bomb: {
+		texture: 'item-bomb',
+		scale: 0.8,
+		effect: 'item',
+		item: 'bomb',
+	},
+	key: {
+		texture: 'tile-items',
+		frame: 5,
+		scale: 0.8,
+		effect: 'item',
+		item: 'key',
+	},
+
+	// Weapons, added to the equipment and equipped when picked up (see WeaponTypes.js)
+	spear: {
+		texture: 'weapon-spear',
+		scale: 0.7,
+		effect: 'weapon',
+		weapon: 'spear',
+	},
+	axe: {
+		texture: 'weapon-axe',
+		scale: 0.9,
+		effect: 'weapon',
+		weapon: 'axe',
+	},
+};
+
+/**
+ * Get a copy of the configuration for a pickup type.
+ * @param {string} type - The pickup type key (e.g. 'coin').
+ * @returns {object} - A config object that can be passed to the Pickup constructor.
+ */
+export function getPickupConfig(type) {
+	const config = PICKUP_TYPES[type];
+	if (!config) {
+		throw new Error(`Unknown pickup type '${type}'.`);
+	}
+
+	return { ...config, pickupType: type };
+}
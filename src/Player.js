@@ -1,4 +1,31 @@
-import { createSlashEffect } from './Effects.js';
+import { createSlashEffect, createAfterimage } from './Effects.js';
+import { getWeaponConfig } from './WeaponTypes.js';
+import { rollHit } from './core/Damage.js';
+import StatusEffects from './core/StatusEffects.js';
+import StatusVisuals from './StatusVisuals.js';
+import {
+	STATUS_EFFECT_TYPES,
+	getStatusEffectConfig,
+} from './StatusEffectTypes.js';
+
+// Time (ms) after a swing ends during which a press chains the next combo swing
+const COMBO_WINDOW = 300;
+
+// Dash: speed, length (ms), invulnerability (ms, from the start of the dash)
+// and cooldown (ms, from the end of the dash)
+const DASH_SPEED = 300;
+const DASH_DURATION = 200;
+const DASH_INVULNERABLE_TIME = 250;
+const DASH_COOLDOWN = 600;
+
+// Holding the attack this long (ms) after the press starts charging, and the
+// charge takes CHARGE_TIME to fill
+const CHARGE_DELAY = 300;
+const CHARGE_TIME = 600;
+
+// Movement speed without upgrades
+const BASE_SPEED = 150;
+
 export default class Player extends Phaser.Physics.Arcade.Sprite {
 	constructor(scene, x, y) {
 		super(scene, x, y, 'knight', 'knight_idle_anim_f0.png');
@@ -15,28 +42,64 @@ export default class Player extends Phaser.Physics.Arcade.Sprite {
 		this.body.setDrag(0.00005); // Increased from 0.00005 for better inertia
 		this.body.setMaxVelocity(300);
 
-		// Input handling
-		this.cursors = scene.input.keyboard.createCursorKeys();
-		this.attackKey = scene.input.keyboard.addKey(
-			Phaser.Input.Keyboard.KeyCodes.SPACE
-		);
-
-		// Track facing/attack direction ('left', 'right', 'up', 'down')
+		// Track facing direction ('left', 'right') and the aim (radians, 0 is right)
 		this.currentDirection = 'right';
-		this.attackDirection = 'right'; // Default attack direction
+		this.aimAngle = 0;
+
+		// Movement speed (no acceleration), raised by upgrades and changed by
+		// speed power-ups
+		this.baseSpeed = BASE_SPEED;
+		this.speed = this.baseSpeed;
 
-		// Attack flag
+		// Damage added to every hit and attack speed multiplier, raised by
+		// upgrades (see setUpgradeBonuses)
+		this.attackDamage = 0;
+		this.attackSpeed = 1;
+
+		// Attack state: the current swing, the combo step and the charge (see updateAttack)
 		this.isAttacking = false;
+		this.currentAttack = null;
+		this.attackProgress = 0;
+		this.swingStart = 0;
+		this.swingDuration = 0;
+		this.swingHits = new Set();
+		this.comboIndex = 0;
+		this.lastSwingEnd = -Infinity;
+		this.attackBuffered = false;
+		this.holdStart = null;
+		this.chargeProgress = 0;
 
 		// Knockback state
 		this.isKnockedBack = false;
-		this.knockbackDuration = 300; // Time in ms that player is knocked back
-
-		// Create the sword sprite (assume sword asset is loaded with key 'sword')
+		this.knockbackDuration = 300; // Default time in ms that player is knocked back
+		this.knockbackTimer = null; // Ends the current knockback (see knockback)
+
+		// Status effects (poison, slow, stun...), their particles and HUD icons
+		// (see applyStatus and updateStatus)
+		this.status = new StatusEffects(STATUS_EFFECT_TYPES);
+		this.statusVisuals = new StatusVisuals(this);
+
+		// Dash state (see dash)
+		this.isDashing = false;
+		this.dashEnd = 0;
+		this.dashReadyAt = 0;
+		this.dashVelocity = { x: 0, y: 0 };
+		this.lastAfterimage = 0;
+
+		// Create the weapon sprite (its texture is set by equipWeapon)
 		this.sword = scene.add.sprite(this.x, this.y, 'sword');
 		this.sword.setOrigin(0.5, 0.5);
 		this.sword.setVisible(false);
 
+		// Crosshair shown while aiming with the mouse or a stick
+		this.crosshair = scene.add.image(this.x, this.y, 'crosshair-1');
+		this.crosshair.setDepth(50);
+		this.crosshair.setVisible(false);
+
+		// Ring filling up around the player while charging a heavy attack
+		this.chargeIndicator = scene.add.graphics();
+		this.chargeIndicator.setDepth(50);
+
 		// Create sword hitbox physics body
 		this.swordHitbox = scene.physics.add.sprite(this.x, this.y, null);
 		this.swordHitbox.setSize(20, 20); // Adjust size as needed
@@ -44,71 +107,73 @@ export default class Player extends Phaser.Physics.Arcade.Sprite {
 		this.swordHitbox.body.setAllowGravity(false);
 		this.swordHitbox.body.enable = false; // Disable physics until attacking
 
-		// Attack animation duration (milliseconds)
-		this.attackDuration = 200;
-
-		// Damage settings
-		this.attackDamage = 10;
-		this.knockbackForce = 200; // Increased knockback force
+		// Equip the sword; the weapons carried are kept in the scene's inventory
+		this.equipWeapon('sword');
 
 		// Keep reference to the scene
 		this.scene = scene;
 	}
 
-	update() {
+	/**
+	 * Move and attack from this frame's input (see InputManager.getPlayerInput).
+	 * @param {object} input - { moveX, moveY, aimAngle, aimPoint, attack, attackHeld, dash, swap }:
+	 *        moveX and moveY go from -1 to 1 (analog sticks give values in
+	 *        between), aimAngle is null when not aiming (the player then aims
+	 *        where they move), aimPoint is the mouse position if it aims,
+	 *        attack, dash and swap are true on the frame they are pressed and
+	 *        attackHeld while the attack is held.
+	 */
+	update(input) {
 		let moving = false;
-		const speed = 150; // Fixed movement speed (no acceleration)
-		let velocityX = 0;
-		let velocityY = 0;
-
-		// Skip input handling if player is currently knocked back
-		if (!this.isKnockedBack) {
-			// Update attackDirection based on input (only consider cardinal directions)
-			if (this.cursors.left.isDown) {
-				this.attackDirection = 'left';
-			} else if (this.cursors.right.isDown) {
-				this.attackDirection = 'right';
-			} else if (this.cursors.up.isDown) {
-				this.attackDirection = 'up';
-			} else if (this.cursors.down.isDown) {
-				this.attackDirection = 'down';
+
+		// Status effects tick even while stunned
+		this.updateStatus();
+		const stunned = this.status.isStunned;
+
+		if (input.dash && !stunned) {
+			this.dash(input);
+		}
+		if (input.swap) {
+			this.swapWeapon();
+		}
+
+		if (this.isDashing) {
+			// Dash at full speed, leaving a trail
+			moving = true;
+			this.updateDash();
+		} else if (!this.isKnockedBack && !stunned) {
+			// Input moves the player unless knocked back or stunned
+			// Aim with the mouse or stick, or else where the player moves
+			if (input.aimAngle !== null && input.aimAngle !== undefined) {
+				this.aimAngle = input.aimAngle;
+			} else if (input.moveX !== 0 || input.moveY !== 0) {
+				this.aimAngle = Math.atan2(input.moveY, input.moveX);
 			}
 
-			// Horizontal movement
-			if (this.cursors.left.isDown) {
+			// Face the horizontal direction of movement
+			if (input.moveX < 0) {
 				this.setFlipX(true);
 				this.currentDirection = 'left';
-				velocityX = -speed;
-				moving = true;
-			} else if (this.cursors.right.isDown) {
+			} else if (input.moveX > 0) {
 				this.setFlipX(false);
 				this.currentDirection = 'right';
-				velocityX = speed;
-				moving = true;
 			}
 
-			// Vertical movement
-			if (this.cursors.up.isDown) {
-				velocityY = -speed;
-				moving = true;
-			} else if (this.cursors.down.isDown) {
-				velocityY = speed;
-				moving = true;
-			}
-
-			// Normalize diagonal movement
-			if (
-				(this.cursors.left.isDown || this.cursors.right.isDown) &&
-				(this.cursors.up.isDown || this.cursors.down.isDown)
-			) {
-				velocityX *= Math.SQRT1_2;
-				velocityY *= Math.SQRT1_2;
-			}
+			// Normalize diagonal movement (keys give (1, 1), sticks stay within 1)
+			const length = Math.hypot(input.moveX, input.moveY);
+			moving = length > 0;
 
 			// Only set velocity directly if actively moving
 			// This allows inertia to take effect when stopping
 			if (moving) {
-				this.setVelocity(velocityX, velocityY);
+				// Slower while charging a heavy attack or slowed down by a status effect
+				const chargeSlowdown = this.chargeProgress > 0 ? 0.5 : 1;
+				const speed =
+					(this.speed *
+						chargeSlowdown *
+						this.status.speedMultiplier) /
+					Math.max(1, length);
+				this.setVelocity(input.moveX * speed, input.moveY * speed);
 			}
 			// When not moving, don't set velocity to zero - let drag handle it
 		}
@@ -135,212 +200,459 @@ export default class Player extends Phaser.Physics.Arcade.Sprite {
 		}
 
 		// Update the sword position relative to the player
+		this.updateSwing();
 		this.updateSwordPosition();
+		this.updateCrosshair(input);
+
+		// Combo swings and heavy attacks (not while dashing or stunned)
+		if (!this.isDashing && !stunned) {
+			this.updateAttack(input);
+		}
+	}
+
+	/**
+	 * Put a status effect on the player (see StatusEffectTypes.js).
+	 * @param {string} type - The status effect type, e.g. 'poison'.
+	 * @param {object} [options] - { duration } in ms instead of the type's.
+	 */
+	applyStatus(type, options) {
+		this.status.apply(type, this.scene.gameClock.now(), options);
+		this.onStatusChanged();
+	}
+
+	// Deal the damage ticks of the status effects and end the expired ones
+	updateStatus() {
+		const { ticks, expired } = this.status.update(
+			this.scene.gameClock.now()
+		);
+
+		ticks.forEach((tick) => {
+			const config = getStatusEffectConfig(tick.type);
+			if (config.playerDamage) {
+				this.scene.drainPlayer(config.playerDamage * tick.stacks);
+			}
+		});
+
+		if (expired.length > 0) {
+			this.onStatusChanged();
+		}
+	}
+
+	// End every status effect (e.g. on death)
+	clearStatus() {
+		this.status.clear();
+		this.onStatusChanged();
+	}
+
+	// Show the active status effects
+	onStatusChanged() {
+		this.resetTint();
+		this.statusVisuals.update(this.status.activeTypes);
+	}
+
+	// Remove any flash tint and restore the tint of the shield power-up or of
+	// a status effect
+	resetTint() {
+		const statusTint = this.status.tint;
+		if (this.scene.playerShielded) {
+			this.setTint(0x88ccff);
+		} else if (statusTint !== null) {
+			this.setTint(statusTint);
+		} else {
+			this.clearTint();
+		}
+	}
+
+	// Dash where the player moves (or aims when standing still), invulnerable
+	// for a moment; not while attacking, knocked back or on cooldown
+	dash(input) {
+		const now = this.scene.gameClock.now();
+		if (
+			this.isDashing ||
+			this.isAttacking ||
+			this.isKnockedBack ||
+			now < this.dashReadyAt
+		) {
+			return;
+		}
+
+		const length = Math.hypot(input.moveX, input.moveY);
+		const angle =
+			length > 0 ? Math.atan2(input.moveY, input.moveX) : this.aimAngle;
+
+		this.isDashing = true;
+		this.dashEnd = now + DASH_DURATION;
+		this.dashReadyAt = this.dashEnd + DASH_COOLDOWN;
+		this.dashVelocity = {
+			x: Math.cos(angle) * DASH_SPEED,
+			y: Math.sin(angle) * DASH_SPEED,
+		};
+
+		// Dodge: hits are ignored for a moment (see GameScene.damagePlayer)
+		this.scene.playerHealth.makeInvulnerable(now, DASH_INVULNERABLE_TIME);
+
+		// Dashing cancels a charge
+		this.holdStart = null;
+		this.chargeProgress = 0;
+		this.drawChargeIndicator();
+
+		// Face the dash
+		if (Math.cos(angle) !== 0) {
+			this.currentDirection = Math.cos(angle) < 0 ? 'left' : 'right';
+			this.setFlipX(this.currentDirection === 'left');
+		}
+	}
 
-		// Check for attack input (SPACE)
-		if (Phaser.Input.Keyboard.JustDown(this.attackKey)) {
-			this.attack();
+	updateDash() {
+		const now = this.scene.gameClock.now();
+		if (now >= this.dashEnd) {
+			this.isDashing = false;
+			return;
 		}
+
+		// Walls and items still stop the dash (colliders in GameScene)
+		this.setVelocity(this.dashVelocity.x, this.dashVelocity.y);
+
+		if (now - this.lastAfterimage >= 40) {
+			this.lastAfterimage = now;
+			createAfterimage(this.scene, this);
+		}
+	}
+
+	updateAttack(input) {
+		const now = this.scene.gameClock.now();
+
+		if (input.attack) {
+			this.holdStart = now;
+
+			// A press during a swing chains the next combo swing after it
+			if (this.isAttacking) {
+				this.attackBuffered = true;
+			} else {
+				this.comboAttack();
+			}
+		} else if (this.attackBuffered && !this.isAttacking) {
+			this.attackBuffered = false;
+			this.comboAttack();
+		}
+
+		// Keep holding after the swing to charge, release to strike
+		if (input.attackHeld && this.holdStart !== null) {
+			const held = now - this.holdStart;
+			if (!this.isAttacking && held >= CHARGE_DELAY) {
+				this.chargeProgress = Math.min(
+					1,
+					(held - CHARGE_DELAY) / CHARGE_TIME
+				);
+			}
+		} else {
+			if (this.chargeProgress >= 1 && !this.isAttacking) {
+				this.comboIndex = 0;
+				this.swing(this.weapon.heavy);
+			}
+			this.holdStart = null;
+			this.chargeProgress = 0;
+		}
+
+		this.drawChargeIndicator();
+	}
+
+	// Swing the next attack of the combo, or start over once the combo window has passed
+	comboAttack() {
+		const combo = this.weapon.combo;
+		const sinceLastSwing = this.scene.gameClock.now() - this.lastSwingEnd;
+		if (sinceLastSwing > COMBO_WINDOW || this.comboIndex >= combo.length) {
+			this.comboIndex = 0;
+		}
+
+		this.swing(combo[this.comboIndex]);
+		this.comboIndex++;
 	}
 
+	drawChargeIndicator() {
+		const indicator = this.chargeIndicator;
+		indicator.clear();
+		if (this.chargeProgress <= 0) return;
+
+		// White once fully charged
+		const charged = this.chargeProgress >= 1;
+		const start = -Math.PI / 2;
+
+		indicator.lineStyle(2, 0x000000, 0.4);
+		indicator.strokeCircle(this.x, this.y, 14);
+		indicator.lineStyle(2, charged ? 0xffffff : 0xffcc33, 1);
+		indicator.beginPath();
+		indicator.arc(
+			this.x,
+			this.y,
+			14,
+			start,
+			start + Math.PI * 2 * this.chargeProgress
+		);
+		indicator.strokePath();
+	}
+
+	// Sword angle (degrees) and flip pointing at an angle: aims to the left
+	// use the flipped sprite so the blade isn't drawn upside down
+	getSwordPose(angle, flipX = Math.cos(angle) < 0) {
+		const degrees = Phaser.Math.RadToDeg(angle);
+		return { angle: flipX ? degrees - 180 : degrees, flipX };
+	}
+
+	// Place the weapon and its hitbox: towards the aim, or where the current
+	// swing or thrust has got to
 	updateSwordPosition() {
-		// Offset for sword position
-		const offset = 13;
-
-		// Updated angles for consistent orientation between left and right
-		switch (this.attackDirection) {
-			case 'right':
-				this.sword.x = this.x + offset;
-				this.sword.y = this.y;
-				this.sword.setAngle(0); // Right: 0° (pointing right)
-				this.sword.setFlipX(false);
-
-				// Update hitbox position
-				this.swordHitbox.x = this.x + offset * 1.5;
-				this.swordHitbox.y = this.y;
-				break;
-			case 'left':
-				this.sword.x = this.x - offset;
-				this.sword.y = this.y;
-				this.sword.setAngle(0); // Left: also 0° but will be flipped horizontally
-				this.sword.setFlipX(true); // Flip the sword horizontally
-
-				// Update hitbox position
-				this.swordHitbox.x = this.x - offset * 1.5;
-				this.swordHitbox.y = this.y;
-				break;
-			case 'up':
-				this.sword.x = this.x;
-				this.sword.y = this.y - offset;
-				this.sword.setAngle(-90);
-				this.sword.setFlipX(false); // Reset flip
-
-				// Update hitbox position
-				this.swordHitbox.x = this.x;
-				this.swordHitbox.y = this.y - offset * 1.5;
-				break;
-			case 'down':
-				this.sword.x = this.x;
-				this.sword.y = this.y + offset;
-				this.sword.setAngle(90);
-				this.sword.setFlipX(false); // Reset flip
-
-				// Update hitbox position
-				this.swordHitbox.x = this.x;
-				this.swordHitbox.y = this.y + offset * 1.5;
-				break;
+		const weapon = this.weapon;
+		let angle = this.aimAngle;
+		let extension = 0;
+		let hitboxScale = 1;
+		let flipX;
+
+		if (this.isAttacking) {
+			const attack = this.currentAttack;
+			const progress = this.attackProgress;
+
+			if (attack.motion === 'thrust') {
+				// Poke forward and pull back
+				angle = this.swingAngle;
+				extension = attack.distance * Math.sin(progress * Math.PI);
+			} else {
+				// Sweep the arc around the aim, backswings the other way
+				const side = attack.reverse ? -1 : 1;
+				angle =
+					this.swingAngle +
+					Phaser.Math.DegToRad(attack.arc) * (progress - 0.5) * side;
+			}
+
+			// Keep the side of the swing so the weapon doesn't flip midway
+			flipX = Math.cos(this.swingAngle) < 0;
+			hitboxScale = attack.hitboxScale || 1;
+		}
+
+		const dx = Math.cos(angle);
+		const dy = Math.sin(angle);
+
+		const pose = this.getSwordPose(angle, flipX);
+		this.sword.setPosition(
+			this.x + dx * (weapon.offset + extension),
+			this.y + dy * (weapon.offset + extension)
+		);
+		this.sword.setAngle(pose.angle);
+		this.sword.setFlipX(pose.flipX);
+
+		// Update hitbox position and shape
+		this.swordHitbox.x = this.x + dx * (weapon.reach + extension);
+		this.swordHitbox.y = this.y + dy * (weapon.reach + extension);
+		this.updateHitboxShape(angle, hitboxScale);
+	}
+
+	// Size the hitbox for the weapon; rectangles lie along the closest axis to
+	// the weapon's direction (physics bodies can't rotate)
+	updateHitboxShape(angle, scale) {
+		const hitbox = this.weapon.hitbox;
+		const body = this.swordHitbox.body;
+
+		if (hitbox.shape === 'circle') {
+			const radius = hitbox.radius * scale;
+			body.setCircle(
+				radius,
+				this.swordHitbox.width / 2 - radius,
+				this.swordHitbox.height / 2 - radius
+			);
+			return;
 		}
+
+		const width = hitbox.width * scale;
+		const height = hitbox.height * scale;
+		if (Math.abs(Math.cos(angle)) >= Math.abs(Math.sin(angle))) {
+			body.setSize(width, height);
+		} else {
+			body.setSize(height, width);
+		}
+	}
+
+	// Show the crosshair where the player aims (not when aiming by moving)
+	updateCrosshair(input) {
+		if (input.aimAngle === null || input.aimAngle === undefined) {
+			this.crosshair.setVisible(false);
+			return;
+		}
+
+		// At the mouse pointer, or a little ahead when aiming with a stick
+		const point = input.aimPoint || {
+			x: this.x + Math.cos(input.aimAngle) * 40,
+			y: this.y + Math.sin(input.aimAngle) * 40,
+		};
+		this.crosshair.setPosition(point.x, point.y);
+		this.crosshair.setVisible(true);
+
+		let texture = input.aimPoint ? 'crosshair-1' : 'crosshair-2';
+		if (this.isAttacking) texture = 'crosshair-3';
+		this.crosshair.setTexture(texture);
+	}
+
+	/**
+	 * Equip a weapon (see WeaponTypes.js), adding it to the equipment of the
+	 * inventory.
+	 * @param {string} type - The weapon type key.
+	 */
+	equipWeapon(type) {
+		this.weapon = getWeaponConfig(type);
+		this.scene.inventory.addEquipment(type);
+
+		this.sword.setTexture(this.weapon.texture);
+		this.sword.setScale(this.weapon.scale || 1);
+
+		// Start the next attack from the beginning of the new combo
+		this.comboIndex = 0;
+		this.updateSwordPosition();
+
+		this.emit('weaponchange', this.weapon);
+	}
+
+	// Switch to the next weapon carried (not in the middle of an attack)
+	swapWeapon() {
+		const weapons = this.scene.inventory.equipment;
+		if (this.isAttacking || weapons.length < 2) return;
+
+		const index = weapons.indexOf(this.weapon.weaponType);
+		this.equipWeapon(weapons[(index + 1) % weapons.length]);
 	}
 
-	attack() {
-		if (this.isAttacking) return;
+	// Attack with the equipped weapon (one of its combo attacks or its heavy attack)
+	swing(attack) {
+		const weapon = this.weapon;
 		this.isAttacking = true;
+		this.currentAttack = attack;
+		this.attackProgress = 0;
+		this.swingStart = this.scene.gameClock.now();
+		this.swingDuration = attack.duration / this.attackSpeed;
+
+		// Every enemy is hit once per swing
+		this.swingHits = new Set();
+
+		// The swing keeps the angle it started with
+		this.swingAngle = this.aimAngle;
+		const pose = this.getSwordPose(this.swingAngle);
+
+		// Face the side of the swing
+		this.currentDirection = pose.flipX ? 'left' : 'right';
+		this.setFlipX(pose.flipX);
 
 		// Show the sword sprite
 		this.sword.setVisible(true);
 
 		// Enable sword hitbox
 		this.swordHitbox.body.enable = true;
-
-		// Determine base angle based on attackDirection
-		let baseAngle = 0;
-		let flipX = false;
-		let slashOffsetX = 0;
-		let slashOffsetY = 0;
-		let slashAngle = 0;
-
-		switch (this.attackDirection) {
-			case 'right':
-				baseAngle = 0;
-				flipX = false;
-				slashOffsetX = 20;
-				slashOffsetY = 0;
-				slashAngle = 0;
-				break;
-			case 'left':
-				baseAngle = 0; // Same as right, but will be flipped
-				flipX = true;
-				slashOffsetX = -20;
-				slashOffsetY = 0;
-				slashAngle = 0;
-				break;
-			case 'up':
-				baseAngle = -90;
-				flipX = false;
-				slashOffsetX = 0;
-				slashOffsetY = -20;
-				slashAngle = -90;
-				break;
-			case 'down':
-				baseAngle = 90;
-				flipX = false;
-				slashOffsetX = 0;
-				slashOffsetY = 20;
-				slashAngle = 90;
-				break;
-		}
+		this.updateSwordPosition();
 
 		// Create slash effect
-		createSlashEffect(
+		const slash = createSlashEffect(
 			this.scene,
-			this.x + slashOffsetX,
-			this.y + slashOffsetY,
-			slashAngle,
-			flipX
+			this.x + Math.cos(this.swingAngle) * weapon.slash.offset,
+			this.y + Math.sin(this.swingAngle) * weapon.slash.offset,
+			pose.angle,
+			pose.flipX
 		);
-
-		// Apply the flip state to the sword
-		this.sword.setFlipX(flipX);
-
-		// Define swing angles (swing 60° on either side of base)
-		const startAngle = baseAngle - 60;
-		const endAngle = baseAngle + 60;
-
-		// Set initial sword angle and perform tween for swing effect
-		this.sword.setAngle(startAngle);
-		this.scene.tweens.add({
-			targets: this.sword,
-			angle: endAngle,
-			duration: this.attackDuration,
-			ease: 'Power1',
-			onComplete: () => {
-				// Hide the sword after the swing and reset angle
-				this.sword.setVisible(false);
-				this.isAttacking = false;
-				this.sword.setAngle(baseAngle);
-
-				// Disable sword hitbox
-				this.swordHitbox.body.enable = false;
-			},
-		});
+		slash.setScale(weapon.slash.scale * (attack.slashScale || 1));
+		if (weapon.slash.tint !== undefined) {
+			slash.setTint(weapon.slash.tint);
+		}
 	}
 
-	// Method to handle enemy collision with sword
-	hitEnemy(enemy) {
-		if (!this.isAttacking) return false;
-
-		// Calculate knockback direction based on attack direction
-		let knockbackX = 0;
-		let knockbackY = 0;
-
-		switch (this.attackDirection) {
-			case 'right':
-				knockbackX = this.knockbackForce;
-				break;
-			case 'left':
-				knockbackX = -this.knockbackForce;
-				break;
-			case 'up':
-				knockbackY = -this.knockbackForce;
-				break;
-			case 'down':
-				knockbackY = this.knockbackForce;
-				break;
-		}
+	// Move the weapon through the current attack in game time, so swings
+	// freeze with the game (see updateSwordPosition)
+	updateSwing() {
+		if (!this.isAttacking) return;
+
+		const elapsed = this.scene.gameClock.now() - this.swingStart;
+		const time = Math.min(1, elapsed / this.swingDuration);
+		this.attackProgress = Phaser.Math.Easing.Quadratic.Out(time);
+		if (time < 1) return;
+
+		// Hide the sword after the swing
+		this.sword.setVisible(false);
+		this.isAttacking = false;
+		this.currentAttack = null;
+		this.lastSwingEnd = this.swingStart + this.swingDuration;
 
-		// Apply knockback to enemy with more force
-		enemy.body.velocity.x = knockbackX;
-		enemy.body.velocity.y = knockbackY;
+		// Disable sword hitbox
+		this.swordHitbox.body.enable = false;
+	}
 
-		// Prevent the enemy from immediately changing direction
-		if (!enemy.stunned) {
-			enemy.stunned = true;
+	// Method to handle enemy collision with sword, returns whether the enemy
+	// took the hit (not during its hit cooldown)
+	hitEnemy(enemy) {
+		if (!this.isAttacking || this.swingHits.has(enemy)) return false;
+		this.swingHits.add(enemy);
+
+		const attack = this.currentAttack;
+
+		// Roll for a critical hit, then let the enemy's armor and resistances
+		// decide the damage taken
+		const hit = rollHit(
+			{
+				damage: attack.damage + this.attackDamage,
+				critChance:
+					attack.critChance !== undefined
+						? attack.critChance
+						: this.weapon.critChance,
+				critMultiplier: this.weapon.critMultiplier,
+			},
+			this.scene.rng
+		);
+		const result = enemy.takeDamage(hit);
+		if (!result.applied) return false;
 
-			// Allow enemy to move again after a short delay
-			this.scene.time.delayedCall(500, () => {
-				enemy.stunned = false;
-			});
+		if (result.killed) {
+			console.log('Enemy killed!');
+			return true;
 		}
 
+		// Knock the enemy back along the swing
+		enemy.knockback(
+			Math.cos(this.swingAngle) * attack.knockback,
+			Math.sin(this.swingAngle) * attack.knockback
+		);
+
 		// Flash the enemy red
 		enemy.setTint(0xff0000);
 		this.scene.time.delayedCall(150, () => {
-			enemy.clearTint();
+			enemy.resetTint();
 		});
 
-		// Call the enemy's takeDamage method to register the hit
-		const wasKilled = enemy.takeDamage(this.attackDamage);
-
-		if (wasKilled) {
-			console.log('Enemy killed!');
-		} else {
-			console.log('Enemy hit with force:', knockbackX, knockbackY);
-		}
-
 		return true;
 	}
 
-	// Method to handle player getting knocked back
-	knockback(velocityX, velocityY) {
+	/**
+	 * Apply the stat bonuses of the upgrades taken (see UpgradeTypes.js).
+	 * @param {object} bonuses - { speed, attackSpeed } as fractions of the
+	 *        base values and attackDamage in damage added to every hit.
+	 */
+	setUpgradeBonuses({ speed, attackDamage, attackSpeed }) {
+		// Keep the boost of an active speed power-up
+		const powerUp = this.speed / this.baseSpeed;
+		this.baseSpeed = BASE_SPEED * (1 + speed);
+		this.speed = this.baseSpeed * powerUp;
+
+		this.attackDamage = attackDamage;
+		this.attackSpeed = 1 + attackSpeed;
+	}
+
+	// Method to handle player getting knocked back, unable to move for stunTime ms
+	knockback(velocityX, velocityY, stunTime = this.knockbackDuration) {
 		// Set the knockback state
 		this.isKnockedBack = true;
 
 		// Apply the knockback velocity
 		this.setVelocity(velocityX, velocityY);
 
-		// Reset knockback state after a short duration
-		this.scene.time.delayedCall(this.knockbackDuration, () => {
+		// Reset knockback state once the stun is over (in game time); a new
+		// knockback replaces the timer of the one it interrupts
+		if (this.knockbackTimer) this.knockbackTimer.cancel();
+		this.knockbackTimer = this.scene.gameClock.delay(stunTime, () => {
 			this.isKnockedBack = false;
+			this.knockbackTimer = null;
 		});
 	}
 }
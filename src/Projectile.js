@@ -0,0 +1,83 @@
+// Projectile.js - A shot fired by an enemy that can be reflected by the sword
+//
+// Projectiles that break or fizzle out are kept to be fired again (see
+// GameScene.fireProjectile)
+export default class Projectile extends Phaser.Physics.Arcade.Sprite {
+	/**
+	 * @param {Phaser.Scene} scene - The scene this projectile belongs to.
+	 */
+	constructor(scene) {
+		super(scene, 0, 0, 'projectile');
+
+		scene.add.existing(this);
+		scene.physics.add.existing(this);
+
+		this.setDepth(10);
+	}
+
+	/**
+	 * Bring the projectile into play at a position, ready to be launched.
+	 * @param {number} x - The x position.
+	 * @param {number} y - The y position.
+	 * @param {object} config - Configuration for the projectile.
+	 * @param {string} [config.texture='projectile'] - The texture key.
+	 * @param {number} [config.speed=120] - Flight speed.
+	 * @param {number} [config.damage=10] - Damage dealt to enemies once reflected (magic damage).
+	 * @param {number} [config.playerDamage=1] - Hearts the player loses when hit.
+	 * @param {number} [config.tint] - Tint color (optional).
+	 * @param {number} [config.lifespan=3000] - Time in ms before the projectile fizzles out.
+	 * @param {number} [config.scale=1] - Scale factor.
+	 */
+	spawn(x, y, config = {}) {
+		this.enableBody(true, x, y, true, true);
+		this.setTexture(config.texture || 'projectile');
+
+		this.setScale(config.scale || 1);
+		if (config.tint !== undefined) {
+			this.setTint(config.tint);
+		} else {
+			this.clearTint();
+		}
+
+		this.speed = config.speed || 120;
+		this.damage = config.damage || 10;
+		this.playerDamage = config.playerDamage || 1;
+		this.lifespan = config.lifespan || 3000;
+
+		// Aged in game time, so projectiles don't fizzle out while the game is
+		// frozen (pause, upgrade choice, boss intro)
+		this.spawnTime = this.scene.gameClock.now();
+
+		// Reflected projectiles fly back and hurt enemies instead of the player
+		this.reflected = false;
+	}
+
+	// Send the projectile flying at the given angle (radians)
+	launch(angle, speed = this.speed) {
+		this.body.setAllowGravity(false);
+		this.setVelocity(Math.cos(angle) * speed, Math.sin(angle) * speed);
+	}
+
+	// Turn the projectile around so it flies away from a point
+	reflect(fromX, fromY) {
+		this.reflected = true;
+		this.setTint(0xffffff);
+
+		const angle = Phaser.Math.Angle.Between(fromX, fromY, this.x, this.y);
+		this.launch(angle, this.speed * 1.5);
+	}
+
+	preUpdate(time, delta) {
+		super.preUpdate(time, delta);
+
+		// Fizzle out after the lifespan
+		if (this.scene.gameClock.now() - this.spawnTime >= this.lifespan) {
+			this.despawn();
+		}
+	}
+
+	// Take the projectile out of play, kept to be fired again
+	despawn() {
+		this.disableBody(true, true);
+	}
+}
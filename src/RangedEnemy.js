@@ -0,0 +1,108 @@
+// RangedEnemy.js - An enemy that keeps its distance and shoots projectiles
+import Enemy from './Enemy.js';
+
+/**
+ * Ranged behavior: keep a distance from the target and shoot at it when
+ * there is a clear line of fire. Merged over the melee states, so idle,
+ * patrol, notice, windup, recover and flee work as for melee enemies.
+ */
+export const RANGED_STATES = {
+	chase: {
+		update(ai) {
+			if (ai.shouldFlee()) return 'flee';
+
+			if (ai.isBeyondLeash()) return 'patrol';
+
+			const distance = ai.distanceToTarget();
+
+			const canSee = ai.hasLineOfSight();
+
+			// Back away when the target gets too close, but shoot anyway
+			// if it keeps following for a while
+			if (
+				canSee &&
+				distance < ai.config.preferredRange &&
+				ai.elapsed() < 1500
+			) {
+				ai.moving = ai.enemy.backAwayFrom(ai.target);
+				return;
+			}
+
+			if (canSee && distance <= ai.config.attackRange) {
+				return 'windup';
+			}
+
+			// Move closer until there is a clear shot
+			ai.moving = ai.enemy.moveTo(ai.target.x, ai.target.y);
+		},
+	},
+
+	attack: {
+		enter(ai) {
+			ai.enemy.shoot(ai.target);
+		},
+		update(ai) {
+			if (ai.elapsed() >= ai.config.attackTime) return 'recover';
+		},
+	},
+};
+
+export default class RangedEnemy extends Enemy {
+	/**
+	 * Takes the same config as Enemy, plus:
+	 *          config.behavior.preferredRange: number (distance to keep from the target)
+	 *          config.projectile: object (passed to the Projectile constructor)
+	 */
+	constructor(scene, x, y, config) {
+		super(scene, x, y, {
+			...config,
+			behavior: {
+				preferredRange: 90,
+				...config.behavior,
+				states: { ...RANGED_STATES, ...(config.behavior || {}).states },
+			},
+		});
+
+		this.projectileConfig = config.projectile || {};
+	}
+
+	// Move away from a target, returns true if moving
+	backAwayFrom(target) {
+		const angle = Phaser.Math.Angle.Between(
+			target.x,
+			target.y,
+			this.x,
+			this.y
+		);
+
+		const moving = this.moveTowards(
+			this.x + Math.cos(angle) * 32,
+			this.y + Math.sin(angle) * 32,
+			2,
+			2
+		);
+
+		// Keep facing the target while backing away
+		this.faceTowards(target.x);
+
+		return moving;
+	}
+
+	// Fire a projectile at the target
+	shoot(target) {
+		const angle = Phaser.Math.Angle.Between(
+			this.x,
+			this.y,
+			target.x,
+			target.y
+		);
+
+		this.faceTowards(target.x);
+		this.scene.fireProjectile(
+			this.x + Math.cos(angle) * 8,
+			this.y + Math.sin(angle) * 8,
+			angle,
+			this.projectileConfig
+		);
+	}
+}
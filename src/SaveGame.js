@@ -0,0 +1,76 @@
+// SaveGame.js - Helpers to keep the current run in localStorage
+
+const SAVE_KEY = 'phaser3-game-demo-save';
+const REPLAY_KEY = 'phaser3-game-demo-replay';
+
+// Bump when the saved state changes shape so old saves are ignored
+const SAVE_VERSION = 5;
+
+/**
+ * Save the state of the current run, replacing any earlier save.
+ * @param {object} state - Serializable run state (see GameScene.getSaveState).
+ * @returns {boolean} - Whether the run was saved.
+ */
+export function saveRun(state) {
+	try {
+		localStorage.setItem(
+			SAVE_KEY,
+			JSON.stringify({
+				version: SAVE_VERSION,
+				savedAt: Date.now(),
+				state,
+			})
+		);
+		return true;
+	} catch (error) {
+		// Storage can be full or disabled (e.g. private browsing)
+		console.warn('Could not save the run:', error);
+		return false;
+	}
+}
+
+/**
+ * Load the saved run.
+ * @returns {object|null} - The saved run state, or null if there is no usable save.
+ */
+export function loadRun() {
+	try {
+		const saved = JSON.parse(localStorage.getItem(SAVE_KEY));
+		if (!saved || saved.version !== SAVE_VERSION) return null;
+
+		return saved.state;
+	} catch (error) {
+		console.warn('Could not load the saved run:', error);
+		return null;
+	}
+}
+
+// Delete the saved run (after winning, or when starting a new run)
+export function clearRun() {
+	try {
+		localStorage.removeItem(SAVE_KEY);
+	} catch (error) {
+		console.warn('Could not clear the saved run:', error);
+	}
+}
+
+// Keep the input log of a recorded run (see InputRecorder.js)
+export function saveReplay(log) {
+	try {
+		localStorage.setItem(REPLAY_KEY, JSON.stringify(log));
+		return true;
+	} catch (error) {
+		console.warn('Could not save the input log:', error);
+		return false;
+	}
+}
+
+// Load the input log of the last recorded run (null if there is none)
+export function loadReplay() {
+	try {
+		return JSON.parse(localStorage.getItem(REPLAY_KEY));
+	} catch (error) {
+		console.warn('Could not load the input log:', error);
+		return null;
+	}
+}
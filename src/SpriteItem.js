@@ -1,4 +1,6 @@
 // SpriteItem.js - A class for animated sprite items in the game
+import { createLightTexture } from './Lighting.js';
+
 export default class SpriteItem extends Phaser.GameObjects.Sprite {
 	/**
 	 * Creates a new sprite item.
@@ -16,12 +18,13 @@ export default class SpriteItem extends Phaser.GameObjects.Sprite {
 	 * @param {string} [config.animationKey] - Key of the animation to play (optional).
 	 * @param {boolean} [config.loop=true] - Whether the animation should loop (optional).
 	 * @param {string} [config.type='decoration'] - Type identifier for the item (optional).
-	 * @param {boolean} [config.interactive=false] - Whether this item is interactive (optional).
+	 * @param {boolean} [config.interactive=false] - Whether the player can use this item with the interact action (optional).
+	 * @param {number} [config.interactRange=24] - How close the player has to be to interact with it (optional, in pixels).
 	 * @param {object} [config.light] - Light effect configuration (optional).
 	 * @param {boolean} [config.light.enabled=false] - Whether to add a light effect.
 	 * @param {number} [config.light.radius=100] - Radius of the light effect.
-	 * @param {number} [config.light.color=0xffff00] - Color of the light (hex value).
-	 * @param {number} [config.light.intensity=0.5] - Intensity of the light (0-1).
+	 * @param {number} [config.light.color=0xffff00] - Color of the glow (hex value).
+	 * @param {number} [config.light.intensity=0.5] - Intensity of the glow (0-1).
 	 */
 	constructor(scene, x, y, config) {
 		// The texture key will be provided in the config
@@ -50,67 +53,54 @@ export default class SpriteItem extends Phaser.GameObjects.Sprite {
 		// Store any other properties from config
 		this.itemType = config.type || 'decoration';
 		this.isInteractive = config.interactive || false;
+		this.interactRange = config.interactRange || 24;
 
 		// Setup light effect if enabled
 		if (config.light && config.light.enabled) {
 			this.addLightEffect(config.light);
 		}
 
-		// Setup interactions if needed
-		if (this.isInteractive) {
-			this.setInteractive();
-
-			// Default pointer up handler for interactive items
-			this.on('pointerup', () => {
-				this.onInteract();
-			});
-		}
-
 		// Time-based flicker effect for torches
 		this.flickerTimer = 0;
 		this.flickerIntensity = config.flickerIntensity || 0.1;
 	}
 
 	/**
-	 * Add a light/glow effect to this item.
+	 * Add a light/glow effect to this item: a hole in the darkness of the
+	 * scene's lighting (see Lighting.js) with a soft colored glow.
 	 * @param {object} lightConfig - Light configuration.
 	 * @param {number} [lightConfig.radius=100] - Radius of the light.
-	 * @param {number} [lightConfig.color=0xffff00] - Color of the light (hex).
-	 * @param {number} [lightConfig.intensity=0.5] - Intensity of the light (0-1).
+	 * @param {number} [lightConfig.color=0xffff00] - Color of the glow (hex).
+	 * @param {number} [lightConfig.intensity=0.5] - Intensity of the glow (0-1).
 	 */
 	addLightEffect(lightConfig) {
-		// Create a circular gradient for the light
 		const radius = lightConfig.radius || 100;
 		const color = lightConfig.color || 0xffff00; // Yellow default
 		const intensity = lightConfig.intensity || 0.5;
 
-		// Create a graphics object for the light
-		this.lightGraphics = this.scene.add.graphics();
-
-		// Convert hex color to RGB components
-		const r = (color >> 16) & 0xff;
-		const g = (color >> 8) & 0xff;
-		const b = color & 0xff;
-
-		// Create base color with alpha
-		const baseColor = Phaser.Display.Color.GetColor(r, g, b);
-
-		// Fill with radial gradient
-		this.lightGraphics.fillStyle(baseColor, intensity);
-		this.lightGraphics.fillCircle(0, 0, radius);
-
-		// Position the light at the item's position
-		this.lightGraphics.x = this.x;
-		this.lightGraphics.y = this.y;
+		// Glow fading out from the item (radial gradient tinted to the color)
+		createLightTexture(this.scene);
+		this.lightEffect = this.scene.add.image(this.x, this.y, 'light');
+		this.lightScale = (radius * 2) / this.lightEffect.width;
+		this.lightEffect.setScale(this.lightScale);
+		this.lightEffect.setTint(color);
+		this.lightEffect.setAlpha(intensity);
 
 		// Set depth below the item
-		this.lightGraphics.setDepth(this.depth - 1);
+		this.lightEffect.setDepth(this.depth - 1);
 
 		// Set blend mode for more realistic lighting
-		this.lightGraphics.setBlendMode(Phaser.BlendModes.ADD);
+		this.lightEffect.setBlendMode(Phaser.BlendModes.ADD);
 
-		// Store reference and properties for updates
-		this.lightEffect = this.lightGraphics;
+		// Light cut out of the darkness
+		if (this.scene.lighting) {
+			this.light = this.scene.lighting.addLight(this.x, this.y, {
+				radius,
+				follow: this,
+			});
+		}
+
+		// Store properties for updates
 		this.lightRadius = radius;
 		this.lightColor = color;
 		this.lightIntensity = intensity;
@@ -130,27 +120,41 @@ export default class SpriteItem extends Phaser.GameObjects.Sprite {
 		// Calculate flicker effect (subtle sine wave)
 		const flicker = Math.sin(this.flickerTimer * 5) * this.flickerIntensity;
 
-		// Apply flicker to light intensity
+		// Apply flicker to the glow and to how much darkness the light removes
 		const newAlpha = Math.max(0.1, Math.min(1, this.baseAlpha + flicker));
 		this.lightEffect.alpha = newAlpha;
+		if (this.light) {
+			this.light.intensity = Math.min(
+				1,
+				1 - this.flickerIntensity + flicker
+			);
+		}
 
 		// Occasionally do a small "pop" in the flame for more realistic effect
-		if (Math.random() < 0.01) {
+		if (this.scene.rng.next() < 0.01) {
 			// Random slight scale change
-			const scale = 1 + (Math.random() * 0.2 - 0.1);
-			this.lightEffect.setScale(scale);
+			const scale = 1 + this.scene.rng.float(-0.1, 0.1);
+			this.setLightScale(scale);
 
 			// Return to normal after a short delay
 			if (this.scene && this.scene.time) {
 				this.scene.time.delayedCall(100, () => {
 					if (this.lightEffect) {
-						this.lightEffect.setScale(1);
+						this.setLightScale(1);
 					}
 				});
 			}
 		}
 	}
 
+	// Grow or shrink the glow and the light compared to their radius
+	setLightScale(scale) {
+		this.lightEffect.setScale(this.lightScale * scale);
+		if (this.light) {
+			this.light.radius = this.lightRadius * scale;
+		}
+	}
+
 	/**
 	 * Update method - called on each frame if added to the update list.
 	 * @param {number} time - Current time.
@@ -173,7 +177,22 @@ export default class SpriteItem extends Phaser.GameObjects.Sprite {
 	}
 
 	/**
-	 * Method called when the item is interacted with.
+	 * Check whether the player is close enough to interact with this item.
+	 * @param {Player} player - The player.
+	 * @returns {boolean}
+	 */
+	canInteract(player) {
+		return (
+			this.isInteractive &&
+			this.active &&
+			Phaser.Math.Distance.Between(this.x, this.y, player.x, player.y) <=
+				this.interactRange
+		);
+	}
+
+	/**
+	 * Method called with the player when they use the interact action next to
+	 * the item (see GameScene.interact).
 	 * Override this method in derived classes to implement custom behavior.
 	 */
 	onInteract() {
@@ -188,6 +207,10 @@ export default class SpriteItem extends Phaser.GameObjects.Sprite {
 		// Clean up light effect if it exists
 		if (this.lightEffect) {
 			this.lightEffect.destroy();
+			this.lightEffect = null;
+		}
+		if (this.light && this.scene && this.scene.lighting) {
+			this.scene.lighting.removeLight(this.light);
 		}
 
 		// Call parent destroy method
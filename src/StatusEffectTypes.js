@@ -0,0 +1,80 @@
+// StatusEffectTypes.js - Configuration for every status effect that can be put
+// on the player or an enemy (see core/StatusEffects.js)
+//
+// A status effect has:
+//   name: readable name
+//   icon: letter on its HUD icon
+//   color: HUD icon and particle color
+//   particles: whether particles rise from the affected sprite
+//   tint: sprite tint while active (optional)
+//   duration: ms it lasts
+//   stacking: what applying it again does: 'refresh' (default), 'extend',
+//             'stack' or 'ignore'
+//   maxStacks: most stacks with 'stack'
+//   tickInterval: ms between damage ticks (optional)
+//   damage: damage of every tick to enemies, per stack (see core/Damage.js)
+//   damageType: damage type of the ticks
+//   playerDamage: hearts the player loses every tick, per stack
+//   speedMultiplier: movement speed compared to normal (optional)
+//   stun: keeps from moving and attacking
+export const STATUS_EFFECT_TYPES = {
+	poison: {
+		name: 'Poison',
+		icon: 'P',
+		color: 0x66dd44,
+		particles: true,
+		tint: 0x99ff88,
+		duration: 4500,
+		stacking: 'stack',
+		maxStacks: 3,
+		tickInterval: 1500,
+		damage: 4,
+		damageType: 'poison',
+		playerDamage: 0.5,
+	},
+	burn: {
+		name: 'Burn',
+		icon: 'B',
+		color: 0xff6622,
+		particles: true,
+		tint: 0xffaa77,
+		duration: 3000,
+		tickInterval: 1000,
+		damage: 6,
+		damageType: 'fire',
+		playerDamage: 0.5,
+	},
+	slow: {
+		name: 'Slow',
+		icon: 'S',
+		color: 0x88aaff,
+		particles: true,
+		tint: 0xaabbff,
+		duration: 3000,
+		speedMultiplier: 0.5,
+	},
+
+	// Knocked back by a hit (see Enemy.knockback)
+	stun: {
+		name: 'Stun',
+		icon: '*',
+		color: 0xffee66,
+		particles: false,
+		duration: 500,
+		stun: true,
+	},
+};
+
+/**
+ * Get a copy of the configuration for a status effect type.
+ * @param {string} type - The status effect type key (e.g. 'poison').
+ * @returns {object} - The status effect config, with its type key as `statusType`.
+ */
+export function getStatusEffectConfig(type) {
+	const config = STATUS_EFFECT_TYPES[type];
+	if (!config) {
+		throw new Error(`Unknown status effect type '${type}'.`);
+	}
+
+	return { ...config, statusType: type };
+}
@@ -0,0 +1,73 @@
+// StatusVisuals.js - Particles rising from a sprite for each of its active
+// status effects (see StatusEffectTypes.js)
+import { getStatusEffectConfig } from './StatusEffectTypes.js';
+
+// How long a particle lives (ms), also how long a stopped emitter is kept so
+// its last particles can fade out
+const PARTICLE_LIFESPAN = 600;
+
+export default class StatusVisuals {
+	/**
+	 * @param {Phaser.GameObjects.Sprite} sprite - The sprite the particles follow.
+	 */
+	constructor(sprite) {
+		this.sprite = sprite;
+
+		// Particle emitters of the active effects, by type
+		this.emitters = new Map();
+	}
+
+	/**
+	 * Start and stop emitters to match the active effects.
+	 * @param {string[]} types - Types of the active status effects.
+	 */
+	update(types) {
+		types.forEach((type) => {
+			if (this.emitters.has(type)) return;
+
+			const config = getStatusEffectConfig(type);
+			if (config.particles) {
+				this.emitters.set(type, this.createEmitter(config.color));
+			}
+		});
+
+		this.emitters.forEach((emitter, type) => {
+			if (!types.includes(type)) {
+				this.stopEmitter(emitter);
+				this.emitters.delete(type);
+			}
+		});
+	}
+
+	createEmitter(color) {
+		const scene = this.sprite.scene;
+		const emitter = scene.add.particles(0, 0, 'status-particle', {
+			speedX: { min: -8, max: 8 },
+			speedY: { min: -30, max: -15 },
+			lifespan: PARTICLE_LIFESPAN,
+			alpha: { start: 1, end: 0 },
+			scale: { start: 1, end: 0.5 },
+			frequency: 150,
+			tint: color,
+		});
+		emitter.startFollow(this.sprite, 0, this.sprite.displayHeight / 4);
+		emitter.setDepth(this.sprite.depth + 1);
+
+		return emitter;
+	}
+
+	// Let the last particles fade out, then remove the emitter
+	stopEmitter(emitter) {
+		emitter.stop();
+		emitter.stopFollow();
+		emitter.scene.time.delayedCall(PARTICLE_LIFESPAN, () => {
+			emitter.destroy();
+		});
+	}
+
+	// Stop every emitter (when the sprite dies or is removed)
+	destroy() {
+		this.emitters.forEach((emitter) => this.stopEmitter(emitter));
+		this.emitters.clear();
+	}
+}
@@ -0,0 +1,159 @@
+// TouchControls.js - On-screen joystick and action buttons (attack, dash,
+// items, pause...) for touch screens, read by InputManager like the keyboard
+// and gamepads
+
+export default class TouchControls {
+	/**
+	 * @param {Phaser.Scene} scene - The scene to show the controls in.
+	 * @param {object} [options]
+	 * @param {number} [options.radius=24] - How far the joystick thumb moves from the center.
+	 */
+	constructor(scene, options = {}) {
+		this.scene = scene;
+		this.radius = options.radius || 24;
+
+		// Joystick tilt (-1 to 1) and the pointer moving it
+		this.stickX = 0;
+		this.stickY = 0;
+		this.stickPointer = null;
+
+		// Buttons held down, and buttons tapped since the last frame (a quick
+		// tap can start and end between two frames)
+		this.held = {};
+		this.tapped = {};
+
+		this.createJoystick();
+		this.createButton(255, 240, 'Attack', 'attack');
+		this.createButton(255, 214, 'Dash', 'dash');
+		this.createButton(255, 188, 'Swap', 'swap');
+		this.createButton(255, 162, 'Use', 'interact');
+		this.createButton(255, 136, 'Potion', 'item1');
+		this.createButton(255, 110, 'Bomb', 'item4');
+		this.createButton(262, 40, 'Pause', 'pause');
+	}
+
+	createJoystick() {
+		const height = this.scene.cameras.main.height;
+		this.baseX = 70;
+		this.baseY = height - 75;
+
+		this.base = this.scene.add.circle(
+			this.baseX,
+			this.baseY,
+			this.radius,
+			0xffffff,
+			0.15
+		);
+		this.base.setStrokeStyle(2, 0xffffff, 0.4);
+		this.thumb = this.scene.add.circle(
+			this.baseX,
+			this.baseY,
+			10,
+			0xffffff,
+			0.5
+		);
+
+		// Touching anywhere on the left half of the screen grabs the joystick
+		this.zone = this.scene.add.zone(
+			0,
+			0,
+			this.scene.cameras.main.width / 2,
+			height
+		);
+		this.zone.setOrigin(0);
+		this.zone.setInteractive();
+		this.zone.on('pointerdown', (pointer) => {
+			this.stickPointer = pointer;
+			this.moveStick(pointer);
+		});
+
+		this.scene.input.on('pointermove', (pointer) => {
+			if (pointer === this.stickPointer) this.moveStick(pointer);
+		});
+		this.scene.input.on('pointerup', (pointer) => {
+			if (pointer === this.stickPointer) this.releaseStick();
+		});
+
+		[this.base, this.thumb, this.zone].forEach((element) => {
+			element.setScrollFactor(0); // Fix to camera
+			element.setDepth(99);
+		});
+	}
+
+	// Tilt the joystick towards the pointer
+	moveStick(pointer) {
+		const point = this.toScreen(pointer);
+		const dx = point.x - this.baseX;
+		const dy = point.y - this.baseY;
+		const distance = Math.hypot(dx, dy);
+		const scale = distance > this.radius ? this.radius / distance : 1;
+
+		this.stickX = (dx * scale) / this.radius;
+		this.stickY = (dy * scale) / this.radius;
+		this.thumb.setPosition(
+			this.baseX + this.stickX * this.radius,
+			this.baseY + this.stickY * this.radius
+		);
+	}
+
+	releaseStick() {
+		this.stickPointer = null;
+		this.stickX = 0;
+		this.stickY = 0;
+		this.thumb.setPosition(this.baseX, this.baseY);
+	}
+
+	// Pointer position in the coordinates of the fixed UI (the camera zoom
+	// scales the UI around the center of the screen)
+	toScreen(pointer) {
+		const camera = this.scene.cameras.main;
+		return {
+			x: camera.centerX + (pointer.x - camera.centerX) / camera.zoom,
+			y: camera.centerY + (pointer.y - camera.centerY) / camera.zoom,
+		};
+	}
+
+	// Create a button that holds an input action (see InputManager) down
+	createButton(x, y, label, action) {
+		const button = this.scene.add.image(x, y, 'menu-button');
+		button.setScale(0.6);
+		button.setAlpha(0.8);
+		button.setInteractive();
+
+		const text = this.scene.add.text(x, y, label, {
+			fontFamily: 'Arial',
+			fontSize: '8px',
+			fontStyle: 'bold',
+			color: '#ffffff',
+		});
+		text.setOrigin(0.5);
+
+		const release = () => {
+			this.held[action] = false;
+			button.setTexture('menu-button');
+		};
+		button.on('pointerdown', () => {
+			this.held[action] = true;
+			this.tapped[action] = true;
+			button.setTexture('menu-button-press');
+		});
+		button.on('pointerup', release);
+		button.on('pointerout', release);
+
+		// Above the pause overlay so the game can be resumed
+		[button, text].forEach((element) => {
+			element.setScrollFactor(0); // Fix to camera
+			element.setDepth(102);
+		});
+	}
+
+	// Whether an action's button is held or was tapped since the last frame
+	isDown(action) {
+		return !!(this.held[action] || this.tapped[action]);
+	}
+
+	// Forget the taps once a frame has read them
+	clearTaps() {
+		this.tapped = {};
+	}
+}
@@ -1,4 +1,12 @@
 // UI.js - A class to manage game UI elements
+import { ACTION_LABELS } from './InputManager.js';
+import { ITEM_TYPES, ITEM_SLOTS } from './ItemTypes.js';
+import { WEAPON_TYPES } from './WeaponTypes.js';
+import { STATUS_EFFECT_TYPES } from './StatusEffectTypes.js';
+
+// Items shown in the item bar: the hotkey items, then keys
+const ITEM_BAR = [...ITEM_SLOTS, 'key'];
+
 export default class UI {
 	constructor(scene, playerHealth = 5) {
 		this.scene = scene;
@@ -6,10 +14,19 @@ export default class UI {
 		this.maxHealth = playerHealth;
 		this.currentHealth = playerHealth;
 		this.hearts = [];
+		this.emptyHearts = [];
+
+		// Icons of the player's status effects (see updateStatusEffects)
+		this.statusIcons = [];
+		this.statusIconsKey = '';
 
 		// Create UI elements
 		this.createPauseButton();
 		this.createHealthDisplay();
+		this.createCoinDisplay();
+		this.createWeaponDisplay();
+		this.createItemBar();
+		this.createExperienceDisplay();
 	}
 
 	createPauseButton() {
@@ -60,39 +77,288 @@ export default class UI {
 		const heartSpacing = 12; // Space between hearts
 		const heartY = bottomEdge - 33; // 30 pixels from bottom of screen
 
-		// Create hearts
+		// Create hearts, ending at the same spot however many there are
+		const lastHeartX = leftEdge + 35 + 4 * heartSpacing;
 		for (let i = 0; i < this.maxHealth; i++) {
-			const heartX = leftEdge + 35 + i * heartSpacing;
+			const heartX = lastHeartX - (this.maxHealth - 1 - i) * heartSpacing;
+
+			// A faded heart behind each heart shows what was lost (the missing
+			// half of a half heart too)
+			const emptyHeart = this.scene.add.image(heartX, heartY, 'heart');
+			emptyHeart.setScale(0.7);
+			emptyHeart.setAlpha(0.3);
+			emptyHeart.setScrollFactor(0); // Fix to camera
+			emptyHeart.setDepth(100);
+			this.emptyHearts.unshift(emptyHeart);
+
 			const heart = this.scene.add.image(heartX, heartY, 'heart');
 			heart.setScale(0.7);
 			heart.setScrollFactor(0); // Fix to camera
-			heart.setDepth(100); // Ensure hearts are visible above game elements
+			heart.setDepth(101); // Ensure hearts are visible above game elements
 			this.hearts.unshift(heart);
 		}
 	}
 
+	// Show a different number of hearts (max health upgrades)
+	setMaxHealth(maxHealth) {
+		if (maxHealth === this.maxHealth) return;
+
+		this.stopHeartPulse();
+		[...this.hearts, ...this.emptyHearts].forEach((heart) =>
+			heart.destroy()
+		);
+		this.hearts = [];
+		this.emptyHearts = [];
+
+		this.maxHealth = maxHealth;
+		this.createHealthDisplay();
+		this.updateHealth(this.currentHealth);
+	}
+
+	createExperienceDisplay() {
+		// Top center, above the boss bar
+		const centerX = this.scene.cameras.main.centerX;
+		const barY = 34;
+		this.experienceBarWidth = 80;
+
+		this.levelText = this.scene.add.text(centerX - 44, barY, 'Lv 1', {
+			fontFamily: 'Arial',
+			fontSize: '10px',
+			fontStyle: 'bold',
+			color: '#66ddff',
+			stroke: '#000000',
+			strokeThickness: 3,
+		});
+		this.levelText.setOrigin(1, 0.5);
+
+		this.experienceBarBackground = this.scene.add.rectangle(
+			centerX,
+			barY,
+			this.experienceBarWidth + 2,
+			5,
+			0x000000,
+			0.8
+		);
+		this.experienceBarFill = this.scene.add.rectangle(
+			centerX - this.experienceBarWidth / 2,
+			barY,
+			0,
+			3,
+			0x66ddff
+		);
+		this.experienceBarFill.setOrigin(0, 0.5);
+
+		[
+			this.levelText,
+			this.experienceBarBackground,
+			this.experienceBarFill,
+		].forEach((element) => {
+			element.setScrollFactor(0); // Fix to camera
+			element.setDepth(100);
+		});
+	}
+
+	// Show the level and the progress to the next one (see core/Experience.js)
+	updateExperience(experience) {
+		this.levelText.setText(`Lv ${experience.level}`);
+		this.experienceBarFill.width =
+			this.experienceBarWidth * Math.min(1, experience.progress);
+	}
+
+	createWeaponDisplay() {
+		// Bottom left corner, level with the hearts
+		const weaponY = this.scene.cameras.main.height - 33;
+
+		this.weaponIcon = this.scene.add.image(40, weaponY, 'sword');
+		this.weaponIcon.setScrollFactor(0); // Fix to camera
+		this.weaponIcon.setDepth(100);
+
+		this.weaponText = this.scene.add.text(50, weaponY, '', {
+			fontFamily: 'Arial',
+			fontSize: '10px',
+			fontStyle: 'bold',
+			color: '#ffffff',
+			stroke: '#000000',
+			strokeThickness: 3,
+		});
+		this.weaponText.setOrigin(0, 0.5);
+		this.weaponText.setScrollFactor(0);
+		this.weaponText.setDepth(100);
+	}
+
+	// Show the equipped weapon (see WeaponTypes.js)
+	updateWeapon(weapon) {
+		this.weaponIcon.setTexture(weapon.texture);
+		this.weaponText.setText(weapon.name);
+	}
+
+	createItemBar() {
+		// Bottom left corner, above the weapon
+		const barY = this.scene.cameras.main.height - 48;
+		const spacing = 24;
+
+		this.itemBar = ITEM_BAR.map((type, i) => {
+			const item = ITEM_TYPES[type];
+			const x = 40 + i * spacing;
+
+			const icon = this.scene.add.image(
+				x,
+				barY,
+				item.texture,
+				item.frame
+			);
+			icon.setScale(0.7);
+
+			const count = this.scene.add.text(x + 6, barY + 4, '0', {
+				fontFamily: 'Arial',
+				fontSize: '8px',
+				fontStyle: 'bold',
+				color: '#ffffff',
+				stroke: '#000000',
+				strokeThickness: 3,
+			});
+			count.setOrigin(0, 0.5);
+
+			[icon, count].forEach((element) => {
+				element.setScrollFactor(0); // Fix to camera
+				element.setDepth(100);
+			});
+
+			return { type, icon, count };
+		});
+	}
+
+	/**
+	 * Show an icon for each of the player's status effects, with the number of
+	 * stacks, blinking when about to run out. Call every frame.
+	 * @param {object[]} effects - Active effects { type, stacks, timeLeft }
+	 *        (see core/StatusEffects.js getActive).
+	 */
+	updateStatusEffects(effects) {
+		// Only rebuild the icons when the effects or their stacks change
+		const key = effects
+			.map((effect) => `${effect.type}:${effect.stacks}`)
+			.join(',');
+		if (key !== this.statusIconsKey) {
+			this.statusIconsKey = key;
+			this.statusIcons.forEach(({ background, label }) => {
+				background.destroy();
+				label.destroy();
+			});
+			// Bottom right, above the coins, ending over the last heart and
+			// growing to the left
+			const iconY = this.scene.cameras.main.height - 64;
+			this.statusIcons = effects.map((effect, i) =>
+				this.createStatusIcon(283 - i * 16, iconY, effect)
+			);
+		}
+
+		effects.forEach((effect, i) => {
+			const blink =
+				effect.timeLeft < 1000 &&
+				Math.floor(effect.timeLeft / 125) % 2 === 0;
+			const { background, label } = this.statusIcons[i];
+			background.setAlpha(blink ? 0.4 : 1);
+			label.setAlpha(blink ? 0.4 : 1);
+		});
+	}
+
+	// A colored square with the effect's letter (and number of stacks)
+	createStatusIcon(x, y, effect) {
+		const config = STATUS_EFFECT_TYPES[effect.type];
+
+		const background = this.scene.add.rectangle(x, y, 12, 12, config.color);
+		background.setStrokeStyle(1, 0x000000);
+
+		const text =
+			effect.stacks > 1 ? `${config.icon}${effect.stacks}` : config.icon;
+		const label = this.scene.add.text(x, y, text, {
+			fontFamily: 'Arial',
+			fontSize: '8px',
+			fontStyle: 'bold',
+			color: '#000000',
+		});
+		label.setOrigin(0.5);
+
+		[background, label].forEach((element) => {
+			element.setScrollFactor(0); // Fix to camera
+			element.setDepth(100);
+		});
+
+		return { background, label };
+	}
+
+	// Show how many of each item the inventory holds (see core/Inventory.js)
+	updateItems(inventory) {
+		this.itemBar.forEach(({ type, icon, count }) => {
+			const carried = inventory.count(type);
+			count.setText(`${carried}`);
+
+			// Fade the items that are used up
+			icon.setAlpha(carried > 0 ? 1 : 0.3);
+			count.setAlpha(carried > 0 ? 1 : 0.3);
+		});
+	}
+
+	createCoinDisplay() {
+		// Above the hearts
+		const leftEdge = 200;
+		const coinY = this.scene.cameras.main.height - 48;
+
+		this.coinIcon = this.scene.add.image(
+			leftEdge + 35,
+			coinY,
+			'tile-items',
+			0
+		);
+		this.coinIcon.setScale(0.7);
+		this.coinIcon.setScrollFactor(0); // Fix to camera
+		this.coinIcon.setDepth(100);
+
+		this.coinText = this.scene.add.text(leftEdge + 43, coinY, '0', {
+			fontFamily: 'Arial',
+			fontSize: '10px',
+			fontStyle: 'bold',
+			color: '#ffdd44',
+			stroke: '#000000',
+			strokeThickness: 3,
+		});
+		this.coinText.setOrigin(0, 0.5);
+		this.coinText.setScrollFactor(0);
+		this.coinText.setDepth(100);
+	}
+
+	updateCoins(coins) {
+		this.coinText.setText(`${coins}`);
+
+		// Pop the counter
+		this.scene.tweens.add({
+			targets: this.coinText,
+			scale: { from: 1.4, to: 1 },
+			duration: 200,
+		});
+	}
+
 	updateHealth(health) {
 		// Update current health
 		this.currentHealth = Math.max(0, Math.min(health, this.maxHealth));
 
-		// Update heart display
+		// Update heart display: full hearts, then a half heart if the health
+		// isn't a whole number, the rest only show the faded heart behind
 		for (let i = 0; i < this.hearts.length; i++) {
-			if (i < this.currentHealth) {
-				// Show heart
-				this.hearts[i].setVisible(true);
-				this.hearts[i].setAlpha(1);
-			} else {
-				// Hide heart or show empty heart
-				// Option 1: Hide heart completely
-				// this.hearts[i].setVisible(false);
+			const heart = this.hearts[i];
+			const fill = Math.max(0, Math.min(1, this.currentHealth - i));
 
-				// Option 2: Show faded heart
-				this.hearts[i].setAlpha(0.3);
+			heart.setVisible(fill > 0);
+			if (fill >= 1) {
+				heart.setCrop();
+			} else {
+				heart.setCrop(0, 0, heart.width * fill, heart.height);
 			}
 		}
 
-		// If health is critical (1 heart), make it pulse
-		if (this.currentHealth === 1) {
+		// If health is critical (1 heart or less), make it pulse
+		if (this.currentHealth > 0 && this.currentHealth <= 1) {
 			this.startHeartPulse();
 		} else {
 			this.stopHeartPulse();
@@ -104,7 +370,7 @@ export default class UI {
 		if (!this.heartPulseTween && this.hearts.length > 0) {
 			this.heartPulseTween = this.scene.tweens.add({
 				targets: this.hearts[0],
-				scale: { from: 1, to: 1.2 },
+				scale: { from: 0.7, to: 0.85 },
 				alpha: { from: 1, to: 0.7 },
 				duration: 700,
 				yoyo: true,
@@ -121,8 +387,8 @@ export default class UI {
 
 			// Reset heart appearance
 			for (let heart of this.hearts) {
-				heart.setScale(1);
-				heart.setAlpha(heart.visible ? 1 : 0.3);
+				heart.setScale(0.7);
+				heart.setAlpha(1);
 			}
 		}
 	}
@@ -146,6 +412,347 @@ export default class UI {
 		return newHealth;
 	}
 
+	// Show the boss name big in the middle of the screen for a moment
+	showBossTitle(name) {
+		const title = this.scene.add.text(
+			this.scene.cameras.main.centerX,
+			this.scene.cameras.main.centerY - 40,
+			name.toUpperCase(),
+			{
+				fontFamily: 'Arial',
+				fontSize: '20px',
+				fontStyle: 'bold',
+				color: '#ff6633',
+				align: 'center',
+				stroke: '#000000',
+				strokeThickness: 6,
+			}
+		);
+		title.setOrigin(0.5);
+		title.setScrollFactor(0);
+		title.setDepth(101);
+
+		this.scene.tweens.add({
+			targets: title,
+			scale: { from: 1.5, to: 1 },
+			alpha: { from: 0, to: 1 },
+			duration: 400,
+			hold: 800,
+			yoyo: true,
+			onComplete: () => {
+				title.destroy();
+			},
+		});
+	}
+
+	// Show a health bar for a boss at the top of the screen
+	showBossBar(name, healthRatio = 1) {
+		this.hideBossBar();
+
+		// Position constants (kept inside the zoomed camera view)
+		const centerX = this.scene.cameras.main.centerX;
+		const barY = 56;
+		this.bossBarWidth = 140;
+
+		this.bossName = this.scene.add.text(centerX, barY - 10, name, {
+			fontFamily: 'Arial',
+			fontSize: '10px',
+			fontStyle: 'bold',
+			color: '#ffffff',
+			align: 'center',
+			stroke: '#000000',
+			strokeThickness: 3,
+		});
+		this.bossName.setOrigin(0.5);
+
+		// Dark background with the red fill drawn on top from the left
+		this.bossBarBackground = this.scene.add.rectangle(
+			centerX,
+			barY,
+			this.bossBarWidth + 2,
+			8,
+			0x000000,
+			0.8
+		);
+		this.bossBarFill = this.scene.add.rectangle(
+			centerX - this.bossBarWidth / 2,
+			barY,
+			this.bossBarWidth,
+			6,
+			0xcc2222
+		);
+		this.bossBarFill.setOrigin(0, 0.5);
+
+		this.bossBar = [
+			this.bossName,
+			this.bossBarBackground,
+			this.bossBarFill,
+		];
+		this.bossBar.forEach((element) => {
+			element.setScrollFactor(0); // Fix to camera
+			element.setDepth(100);
+		});
+
+		// Fade in
+		this.scene.tweens.add({
+			targets: this.bossBar,
+			alpha: { from: 0, to: 1 },
+			duration: 300,
+		});
+
+		this.updateBossBar(healthRatio);
+	}
+
+	// Update the boss health bar (1 = full, 0 = empty)
+	updateBossBar(healthRatio) {
+		if (!this.bossBarFill) return;
+
+		this.scene.tweens.add({
+			targets: this.bossBarFill,
+			width: this.bossBarWidth * Math.max(0, healthRatio),
+			duration: 200,
+		});
+	}
+
+	hideBossBar() {
+		if (!this.bossBar) return;
+
+		this.bossBar.forEach((element) => element.destroy());
+		this.bossBar = null;
+		this.bossBarFill = null;
+	}
+
+	// Ask whether to continue a saved run or start a new one (the continueRun
+	// and newRun actions, or confirm to continue)
+	showContinuePrompt(wave, onContinue, onNewRun) {
+		const controls = this.scene.controls;
+		const centerX = this.scene.cameras.main.centerX;
+		const centerY = this.scene.cameras.main.centerY;
+
+		const overlay = this.scene.add.rectangle(
+			centerX,
+			centerY,
+			this.scene.cameras.main.width,
+			this.scene.cameras.main.height,
+			0x000000,
+			0.7
+		);
+
+		const title = this.scene.add.text(
+			centerX,
+			centerY - 50,
+			`Saved run found (wave ${wave})`,
+			{
+				fontFamily: 'Arial',
+				fontSize: '14px',
+				fontStyle: 'bold',
+				color: '#ffffff',
+				align: 'center',
+				stroke: '#000000',
+				strokeThickness: 4,
+			}
+		);
+		title.setOrigin(0.5);
+
+		const elements = [overlay, title];
+
+		// Remove the prompt and run the chosen action
+		const choose = (action) => {
+			elements.forEach((element) => element.destroy());
+			cancels.forEach((cancel) => cancel());
+			action();
+		};
+
+		elements.push(
+			...this.createMenuButton(
+				centerX,
+				centerY - 10,
+				`Continue (${controls.getKeyLabel('continueRun')})`,
+				() => choose(onContinue)
+			),
+			...this.createMenuButton(
+				centerX,
+				centerY + 30,
+				`New run (${controls.getKeyLabel('newRun')})`,
+				() => choose(onNewRun)
+			)
+		);
+
+		// The confirm action (e.g. a gamepad's A button) continues too
+		const cancels = [
+			controls.onceAction('continueRun', () => choose(onContinue)),
+			controls.onceAction('newRun', () => choose(onNewRun)),
+			controls.onceAction('confirm', () => choose(onContinue)),
+		];
+
+		elements.forEach((element) => {
+			element.setScrollFactor(0); // Fix to camera
+			if (element !== overlay) element.setDepth(101);
+		});
+		overlay.setDepth(100);
+	}
+
+	/**
+	 * Show a card for each upgrade offered after leveling up.
+	 * @param {object[]} upgrades - Upgrade configs (see UpgradeTypes.js).
+	 * @param {function} onClick - Called with the index of a clicked card.
+	 */
+	showUpgradeChoice(upgrades, onClick) {
+		this.hideUpgradeChoice();
+
+		const centerX = this.scene.cameras.main.centerX;
+		const centerY = this.scene.cameras.main.centerY;
+		const cardWidth = 76;
+		const cardSpacing = 84;
+
+		const overlay = this.scene.add.rectangle(
+			centerX,
+			centerY,
+			this.scene.cameras.main.width,
+			this.scene.cameras.main.height,
+			0x000000,
+			0.6
+		);
+		const title = this.scene.add.text(
+			centerX,
+			centerY - 60,
+			'LEVEL UP!\nChoose an upgrade',
+			{
+				fontFamily: 'Arial',
+				fontSize: '14px',
+				fontStyle: 'bold',
+				color: '#66ddff',
+				align: 'center',
+				stroke: '#000000',
+				strokeThickness: 4,
+			}
+		);
+		title.setOrigin(0.5);
+
+		this.upgradeChoice = [overlay, title];
+		this.upgradeCards = upgrades.map((upgrade, i) => {
+			const x = centerX + (i - (upgrades.length - 1) / 2) * cardSpacing;
+
+			const card = this.scene.add.rectangle(
+				x,
+				centerY + 10,
+				cardWidth,
+				80,
+				0x222233,
+				0.95
+			);
+			card.setInteractive({ useHandCursor: true });
+			card.on('pointerup', () => onClick(i));
+
+			const name = this.scene.add.text(
+				x,
+				centerY - 15,
+				`${i + 1}. ${upgrade.name}`,
+				{
+					fontFamily: 'Arial',
+					fontSize: '10px',
+					fontStyle: 'bold',
+					color: '#ffdd44',
+					align: 'center',
+					wordWrap: { width: cardWidth - 8 },
+				}
+			);
+			name.setOrigin(0.5, 0);
+
+			const description = this.scene.add.text(
+				x,
+				centerY + 10,
+				upgrade.description,
+				{
+					fontFamily: 'Arial',
+					fontSize: '9px',
+					color: '#ffffff',
+					align: 'center',
+					wordWrap: { width: cardWidth - 8 },
+				}
+			);
+			description.setOrigin(0.5, 0);
+
+			this.upgradeChoice.push(card, name, description);
+			return card;
+		});
+
+		const instructions = this.scene.add.text(
+			centerX,
+			centerY + 68,
+			this.scene.controls.touch
+				? 'Tap an upgrade'
+				: 'Press its number, or choose with left/right and confirm',
+			{
+				fontFamily: 'Arial',
+				fontSize: '9px',
+				color: '#ffffff',
+				align: 'center',
+				stroke: '#000000',
+				strokeThickness: 3,
+			}
+		);
+		instructions.setOrigin(0.5);
+		this.upgradeChoice.push(instructions);
+
+		this.upgradeChoice.forEach((element) => {
+			element.setScrollFactor(0); // Fix to camera
+			element.setDepth(element === overlay ? 100 : 101);
+		});
+	}
+
+	// Outline the card of the upgrade that confirm would pick
+	highlightUpgrade(index) {
+		this.upgradeCards.forEach((card, i) => {
+			if (i === index) {
+				card.setStrokeStyle(2, 0xffdd44);
+			} else {
+				card.setStrokeStyle(1, 0x666688);
+			}
+		});
+	}
+
+	hideUpgradeChoice() {
+		if (!this.upgradeChoice) return;
+
+		this.upgradeChoice.forEach((element) => element.destroy());
+		this.upgradeChoice = null;
+		this.upgradeCards = null;
+	}
+
+	// Create a menu button with a label, returns its game objects
+	createMenuButton(x, y, label, onClick) {
+		const button = this.scene.add.image(x, y, 'menu-button');
+		button.setInteractive({ useHandCursor: true });
+
+		const text = this.scene.add.text(x, y, label, {
+			fontFamily: 'Arial',
+			fontSize: '10px',
+			fontStyle: 'bold',
+			color: '#ffffff',
+			align: 'center',
+		});
+		text.setOrigin(0.5);
+
+		// Same hover and press feedback as the pause button
+		button.on('pointerover', () => {
+			button.setTint(0xcccccc);
+		});
+		button.on('pointerout', () => {
+			button.clearTint();
+			button.setTexture('menu-button');
+		});
+		button.on('pointerdown', () => {
+			button.setTexture('menu-button-press');
+		});
+		button.on('pointerup', () => {
+			button.setTexture('menu-button');
+			onClick();
+		});
+
+		return [button, text];
+	}
+
 	togglePause() {
 		this.isPaused = !this.isPaused;
 
@@ -169,7 +776,7 @@ export default class UI {
 			// Add pause text
 			this.pauseText = this.scene.add.text(
 				this.scene.cameras.main.centerX,
-				this.scene.cameras.main.centerY,
+				this.scene.cameras.main.centerY - 95,
 				'GAME PAUSED',
 				{
 					fontFamily: 'Arial',
@@ -185,14 +792,28 @@ export default class UI {
 			this.pauseText.setScrollFactor(0);
 			this.pauseText.setDepth(101);
 
+			// Key bindings on the left (click one to change it), the
+			// inventory on the right
+			this.controlsList = this.createControlsList(
+				this.scene.cameras.main.centerX - 60,
+				this.scene.cameras.main.centerY - 78
+			);
+			this.inventoryPanel = this.createInventoryPanel(
+				this.scene.cameras.main.centerX + 12,
+				this.scene.cameras.main.centerY - 78
+			);
+
 			// Add instructions text
+			const pauseKey = this.scene.controls.getKeyLabel('pause');
 			this.instructionsText = this.scene.add.text(
 				this.scene.cameras.main.centerX,
-				this.scene.cameras.main.centerY + 50,
-				'Click the pause button again to resume',
+				this.scene.cameras.main.centerY + 120,
+				this.scene.controls.touch
+					? 'Tap Pause again to resume'
+					: `Press ${pauseKey} or click the pause button to resume`,
 				{
 					fontFamily: 'Arial',
-					fontSize: '14px',
+					fontSize: '10px',
 					color: '#ffffff',
 					align: 'center',
 					stroke: '#000000',
@@ -211,7 +832,146 @@ export default class UI {
 			this.overlay.destroy();
 			this.pauseText.destroy();
 			this.instructionsText.destroy();
+			this.controlsList.forEach((element) => element.destroy());
+			this.inventoryPanel.forEach((element) => element.destroy());
+		}
+	}
+
+	// List the keys of every action, centered on x from the given y; clicking
+	// an action waits for a new key. Returns the game objects of the list.
+	createControlsList(centerX, top) {
+		const controls = this.scene.controls;
+		const rowHeight = 10;
+
+		const rows = Object.entries(ACTION_LABELS).map(([action, label], i) => {
+			const row = this.scene.add.text(centerX, top + i * rowHeight, '', {
+				fontFamily: 'Arial',
+				fontSize: '10px',
+				color: '#ffffff',
+				align: 'center',
+				stroke: '#000000',
+				strokeThickness: 3,
+			});
+			row.setOrigin(0.5);
+			row.setInteractive({ useHandCursor: true });
+
+			row.on('pointerover', () => row.setColor('#ffdd44'));
+			row.on('pointerout', () => row.setColor('#ffffff'));
+			row.on('pointerup', () => {
+				row.setText(`${label}: press a key...`);
+				controls.captureKey(action, refresh);
+			});
+
+			return { row, action, label };
+		});
+
+		const refresh = () => {
+			rows.forEach(({ row, action, label }) => {
+				row.setText(
+					`${label}: ${controls.getBindings(action).join(' / ')}`
+				);
+			});
+		};
+		refresh();
+
+		const elements = [
+			...rows.map(({ row }) => row),
+			...this.createMenuButton(
+				centerX,
+				top + rows.length * rowHeight + 16,
+				'Reset keys',
+				() => {
+					controls.resetBindings();
+					refresh();
+				}
+			),
+		];
+
+		elements.forEach((element) => {
+			element.setScrollFactor(0); // Fix to camera
+			element.setDepth(101);
+		});
+
+		return elements;
+	}
+
+	// List the items carried (with the keys that use them) and the weapons,
+	// from the given left x and top y. Returns the game objects of the panel.
+	createInventoryPanel(left, top) {
+		const { controls, inventory, player } = this.scene;
+		const rowHeight = 16;
+		const textStyle = {
+			fontFamily: 'Arial',
+			fontSize: '10px',
+			color: '#ffffff',
+			stroke: '#000000',
+			strokeThickness: 3,
+		};
+		const elements = [];
+
+		const addRow = (y, label, color, icon) => {
+			const text = this.scene.add.text(left + 12, y, label, textStyle);
+			text.setOrigin(0, 0.5);
+			text.setColor(color);
+			elements.push(text);
+
+			if (icon) {
+				const image = this.scene.add.image(
+					left,
+					y,
+					icon.texture,
+					icon.frame
+				);
+				image.setScale(0.7);
+				elements.push(image);
+			}
+		};
+
+		addRow(top, 'Inventory', '#ffdd44');
+
+		const carried = Object.keys(ITEM_TYPES).filter((type) =>
+			inventory.has(type)
+		);
+		carried.forEach((type, i) => {
+			const item = ITEM_TYPES[type];
+			const slot = ITEM_SLOTS.indexOf(type);
+			const hotkey =
+				slot >= 0
+					? ` [${controls.getKeyLabel(`item${slot + 1}`)}]`
+					: '';
+
+			addRow(
+				top + (i + 1) * rowHeight,
+				`${item.name} x${inventory.count(type)}${hotkey}`,
+				'#ffffff',
+				item
+			);
+		});
+		if (carried.length === 0) {
+			addRow(top + rowHeight, 'Empty', '#999999');
 		}
+
+		// Weapons below the items, the equipped one highlighted
+		const weaponsTop = top + (Math.max(1, carried.length) + 2) * rowHeight;
+		addRow(weaponsTop, 'Weapons', '#ffdd44');
+		inventory.equipment.forEach((type, i) => {
+			const weapon = WEAPON_TYPES[type];
+			const equipped = type === player.weapon.weaponType;
+
+			addRow(
+				weaponsTop + (i + 1) * rowHeight,
+				equipped ? `${weapon.name} (equipped)` : weapon.name,
+				equipped ? '#ffffff' : '#bbbbbb',
+				weapon
+			);
+		});
+
+		elements.forEach((element) => {
+			element.setScrollFactor(0); // Fix to camera
+			element.setDepth(101);
+		});
+
+		return elements;
 	}
 
 	// Add this to the update function of your game scene
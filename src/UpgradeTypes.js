@@ -0,0 +1,95 @@
+// UpgradeTypes.js - Upgrades offered when the player levels up
+//
+// An upgrade has:
+//   name, description: shown on its card
+//   effect: stat it raises ('maxHealth' in hearts, 'speed' and 'attackSpeed'
+//           as a fraction of the base value, 'attackDamage' in damage added to
+//           every attack, 'invincibility' in ms after taking damage)
+//   amount: added to the stat every time the upgrade is taken
+//   max: how many times it can be taken in a run
+export const UPGRADE_TYPES = {
+	max_health: {
+		name: 'Extra heart',
+		description: '+1 max heart',
+		effect: 'maxHealth',
+		amount: 1,
+		max: 3,
+	},
+	move_speed: {
+		name: 'Swift boots',
+		description: 'Move 10% faster',
+		effect: 'speed',
+		amount: 0.1,
+		max: 5,
+	},
+	attack_damage: {
+		name: 'Sharp edge',
+		description: 'Attacks deal +5 damage',
+		effect: 'attackDamage',
+		amount: 5,
+		max: 3,
+	},
+	attack_speed: {
+		name: 'Quick hands',
+		description: 'Attack 15% faster',
+		effect: 'attackSpeed',
+		amount: 0.15,
+		max: 4,
+	},
+	invincibility: {
+		name: 'Thick skin',
+		description: 'Longer invincibility after a hit',
+		effect: 'invincibility',
+		amount: 250,
+		max: 4,
+	},
+};
+
+/**
+ * Get a copy of the configuration for an upgrade type.
+ * @param {string} type - The upgrade type key (e.g. 'move_speed').
+ * @returns {object} - The upgrade config, with its type key as `upgradeType`.
+ */
+export function getUpgradeConfig(type) {
+	const config = UPGRADE_TYPES[type];
+	if (!config) {
+		throw new Error(`Unknown upgrade type '${type}'.`);
+	}
+
+	return { ...config, upgradeType: type };
+}
+
+/**
+ * Add up what the upgrades taken give to a stat.
+ * @param {object} upgrades - Times each upgrade was taken, by upgrade type.
+ * @param {string} effect - The stat (e.g. 'speed').
+ * @returns {number} - The bonus (0 without upgrades).
+ */
+export function getUpgradeBonus(upgrades, effect) {
+	return Object.entries(upgrades).reduce((bonus, [type, times]) => {
+		const config = getUpgradeConfig(type);
+		return config.effect === effect ? bonus + config.amount * times : bonus;
+	}, 0);
+}
+
+/**
+ * Pick different upgrades to offer, leaving out those taken their max times.
+ * @param {object} upgrades - Times each upgrade was taken, by upgrade type.
+ * @param {Random} rng - The run's random generator (see core/Random.js).
+ * @param {number} [count=3] - Number of upgrades to offer.
+ * @returns {string[]} - Upgrade type keys (fewer once most are maxed out).
+ */
+export function rollUpgradeChoices(upgrades, rng, count = 3) {
+	const available = Object.keys(UPGRADE_TYPES).filter(
+		(type) => (upgrades[type] || 0) < UPGRADE_TYPES[type].max
+	);
+
+	const choices = [];
+	while (choices.length < count && available.length > 0) {
+		const type = rng.pick(available);
+		available.splice(available.indexOf(type), 1);
+		choices.push(type);
+	}
+
+	return choices;
+}
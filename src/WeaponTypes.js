@@ -0,0 +1,167 @@
+// WeaponTypes.js - Configuration for every weapon the player can equip
+//
+// A weapon has:
+//   name: shown when equipped
+//   texture: sprite drawn in the player's hand (pointing up-right like the sword)
+//   scale: sprite scale (defaults to 1)
+//   offset: distance from the player to the weapon sprite
+//   reach: distance from the player to the center of the hitbox
+//   hitbox: { shape: 'rect', width, height } (width along the aim) or
+//           { shape: 'circle', radius }
+//   slash: slash effect { scale, tint, offset } (tint and scale optional)
+//   critChance: chance (0 to 1) of a critical hit
+//   critMultiplier: damage of a critical hit compared to a normal one
+//   combo: attacks chained by pressing attack again right after a swing
+//   heavy: attack released after charging
+//
+// An attack has:
+//   motion: 'swing' (sweeps an arc) or 'thrust' (pokes forward)
+//   arc: degrees swept by a swing
+//   distance: how far a thrust pushes the weapon and hitbox forward
+//   duration: ms of the attack
+//   damage: damage dealt to enemies (before their armor and resistances)
+//   knockback: speed enemies are knocked back with
+//   hitboxScale: size of the hitbox compared to the weapon's (defaults to 1)
+//   slashScale: size of the slash effect compared to the weapon's (defaults to 1)
+//   reverse: swing the other way (backswing)
+//   critChance: overrides the weapon's critChance
+export const WEAPON_TYPES = {
+	// Balanced, quick combo
+	sword: {
+		name: 'Sword',
+		texture: 'sword',
+		offset: 13,
+		reach: 20,
+		hitbox: { shape: 'rect', width: 20, height: 20 },
+		slash: { scale: 1.5, offset: 20 },
+		critChance: 0.1,
+		critMultiplier: 2,
+		combo: [
+			{
+				motion: 'swing',
+				arc: 120,
+				duration: 200,
+				damage: 10,
+				knockback: 200,
+			},
+			{
+				motion: 'swing',
+				arc: 120,
+				duration: 200,
+				damage: 10,
+				knockback: 200,
+				reverse: true,
+			},
+			{
+				motion: 'swing',
+				arc: 200,
+				duration: 280,
+				damage: 20,
+				knockback: 320,
+				hitboxScale: 1.3,
+				slashScale: 1.4,
+			},
+		],
+		heavy: {
+			motion: 'swing',
+			arc: 240,
+			duration: 320,
+			damage: 30,
+			critChance: 0.25,
+			knockback: 420,
+			hitboxScale: 1.8,
+			slashScale: 2,
+		},
+	},
+
+	// Long, narrow thrusts that keep enemies at a distance
+	spear: {
+		name: 'Spear',
+		texture: 'weapon-spear',
+		offset: 14,
+		reach: 26,
+		hitbox: { shape: 'rect', width: 28, height: 10 },
+		slash: { scale: 1.2, offset: 30, tint: 0xccddff },
+		critChance: 0.15,
+		critMultiplier: 2,
+		combo: [
+			{
+				motion: 'thrust',
+				distance: 10,
+				duration: 220,
+				damage: 10,
+				knockback: 260,
+			},
+			{
+				motion: 'thrust',
+				distance: 14,
+				duration: 260,
+				damage: 20,
+				knockback: 340,
+			},
+		],
+		heavy: {
+			motion: 'thrust',
+			distance: 24,
+			duration: 320,
+			damage: 30,
+			critChance: 0.25,
+			knockback: 480,
+			hitboxScale: 1.3,
+			slashScale: 1.5,
+		},
+	},
+
+	// Wide, slow arcs that hit hard
+	axe: {
+		name: 'Axe',
+		texture: 'weapon-axe',
+		offset: 12,
+		reach: 18,
+		hitbox: { shape: 'circle', radius: 14 },
+		slash: { scale: 2, offset: 18, tint: 0xffcc99 },
+		critChance: 0.05,
+		critMultiplier: 2.5,
+		combo: [
+			{
+				motion: 'swing',
+				arc: 180,
+				duration: 380,
+				damage: 20,
+				knockback: 300,
+			},
+			{
+				motion: 'swing',
+				arc: 220,
+				duration: 420,
+				damage: 20,
+				knockback: 360,
+				reverse: true,
+			},
+		],
+		heavy: {
+			motion: 'swing',
+			arc: 360,
+			duration: 500,
+			damage: 40,
+			critChance: 0.25,
+			knockback: 500,
+			hitboxScale: 1.5,
+			slashScale: 1.5,
+		},
+	},
+};
+
+/**
+ * Get a copy of the configuration for a weapon type.
+ * @param {string} type - The weapon type key (e.g. 'spear').
+ * @returns {object} - The weapon config, with its type key as `weaponType`.
+ */
+export function getWeaponConfig(type) {
+	const config = WEAPON_TYPES[type];
+	if (!config) {
+		throw new Error(`Unknown weapon type '${type}'.`);
+	}
+
+	return { ...config, weaponType: type };
+}
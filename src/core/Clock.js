@@ -0,0 +1,76 @@
+// Clock.js - Game time and timers that only move forward when advanced
+
+export default class Clock {
+	/**
+	 * @param {number} [startTime=0] - Initial time in ms.
+	 */
+	constructor(startTime = 0) {
+		this.time = startTime;
+
+		// Pending timers, fired in order of their due time
+		this.timers = [];
+	}
+
+	// Current game time (ms)
+	now() {
+		return this.time;
+	}
+
+	/**
+	 * Call a function once after a delay of game time.
+	 * @param {number} delay - Delay in ms.
+	 * @param {function} callback - Called when the timer is due.
+	 * @returns {object} - The timer; call its cancel() to stop it.
+	 */
+	delay(delay, callback) {
+		const timer = {
+			dueTime: this.time + Math.max(0, delay),
+			callback,
+			cancelled: false,
+			cancel: () => {
+				timer.cancelled = true;
+			},
+		};
+		this.timers.push(timer);
+
+		return timer;
+	}
+
+	/**
+	 * Move time forward, firing every timer that becomes due on the way.
+	 * Timers created by callbacks fire in the same call if they are due.
+	 * @param {number} delta - Elapsed time in ms.
+	 */
+	advance(delta) {
+		const endTime = this.time + delta;
+
+		for (;;) {
+			this.timers = this.timers.filter((timer) => !timer.cancelled);
+
+			// Find the next timer that is due before the end time
+			let next = null;
+			for (const timer of this.timers) {
+				if (
+					timer.dueTime <= endTime &&
+					(!next || timer.dueTime < next.dueTime)
+				) {
+					next = timer;
+				}
+			}
+			if (!next) break;
+
+			// Callbacks see the time the timer was due at
+			this.time = Math.max(this.time, next.dueTime);
+			next.cancel();
+			next.callback();
+		}
+
+		this.time = endTime;
+	}
+
+	// Cancel every pending timer
+	cancelAll() {
+		this.timers.forEach((timer) => timer.cancel());
+		this.timers = [];
+	}
+}
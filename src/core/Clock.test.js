@@ -0,0 +1,99 @@
+// Clock.test.js - Tests for game time and timers (run with npm test)
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import Clock from './Clock.js';
+
+test('time only moves when advanced', () => {
+	const clock = new Clock(100);
+
+	assert.equal(clock.now(), 100);
+	clock.advance(16);
+	clock.advance(0);
+	assert.equal(clock.now(), 116);
+});
+
+test('timers fire once they are due, in order of their due time', () => {
+	const clock = new Clock();
+	const fired = [];
+
+	clock.delay(300, () => fired.push(`b ${clock.now()}`));
+	clock.delay(100, () => fired.push(`a ${clock.now()}`));
+	clock.delay(300, () => fired.push(`c ${clock.now()}`));
+
+	clock.advance(99);
+	assert.deepEqual(fired, []);
+
+	// Callbacks see the time they were due at, not the end of the step
+	clock.advance(500);
+	assert.deepEqual(fired, ['a 100', 'b 300', 'c 300']);
+	assert.equal(clock.now(), 599);
+});
+
+test('a negative delay fires on the next advance', () => {
+	const clock = new Clock();
+	let fired = false;
+
+	clock.delay(-50, () => {
+		fired = true;
+	});
+	assert.equal(fired, false);
+
+	clock.advance(0);
+	assert.equal(fired, true);
+});
+
+test('cancelled timers never fire', () => {
+	const clock = new Clock();
+	const fired = [];
+
+	const timer = clock.delay(100, () => fired.push('cancelled'));
+	clock.delay(200, () => fired.push('kept'));
+	timer.cancel();
+
+	clock.advance(1000);
+	assert.deepEqual(fired, ['kept']);
+});
+
+test('cancelAll drops every pending timer', () => {
+	const clock = new Clock();
+	let fired = 0;
+
+	clock.delay(10, () => fired++);
+	clock.delay(20, () => fired++);
+	clock.cancelAll();
+
+	clock.advance(100);
+	assert.equal(fired, 0);
+});
+
+test('timers created by callbacks fire in the same advance if due', () => {
+	const clock = new Clock();
+	const fired = [];
+
+	clock.delay(100, () => {
+		fired.push(clock.now());
+		clock.delay(50, () => fired.push(clock.now()));
+		clock.delay(500, () => fired.push(clock.now()));
+	});
+
+	clock.advance(200);
+	assert.deepEqual(fired, [100, 150]);
+
+	clock.advance(400);
+	assert.deepEqual(fired, [100, 150, 600]);
+});
+
+test('a timer cancelled by an earlier callback does not fire', () => {
+	const clock = new Clock();
+	const fired = [];
+
+	let later = null;
+	clock.delay(100, () => {
+		fired.push('first');
+		later.cancel();
+	});
+	later = clock.delay(200, () => fired.push('later'));
+
+	clock.advance(300);
+	assert.deepEqual(fired, ['first']);
+});
@@ -0,0 +1,55 @@
+// Damage.js - Damage rules: critical hits, armor and resistances to damage types
+
+// Damage types hits can have (resistances are given per type)
+export const DAMAGE_TYPES = [
+	'physical',
+	'magic',
+	'explosion',
+	'poison',
+	'fire',
+];
+
+/**
+ * Roll an attack into a hit, which may be critical.
+ * @param {object} attack
+ * @param {number} attack.damage - Damage of a normal hit.
+ * @param {string} [attack.type='physical'] - Damage type (see DAMAGE_TYPES).
+ * @param {number} [attack.critChance=0] - Chance (0 to 1) of a critical hit.
+ * @param {number} [attack.critMultiplier=2] - Damage of a critical hit compared to a normal one.
+ * @param {Random} rng - Random number generator of the run.
+ * @returns {object} - The hit { amount, type, critical }, see applyDefense.
+ */
+export function rollHit(
+	{ damage, type = 'physical', critChance = 0, critMultiplier = 2 },
+	rng
+) {
+	// Only roll for attacks that can crit, so other hits don't use up numbers
+	const critical = critChance > 0 && rng.next() < critChance;
+
+	return {
+		amount: critical ? Math.round(damage * critMultiplier) : damage,
+		type,
+		critical,
+	};
+}
+
+/**
+ * Damage a hit deals to a target once its armor and resistances are applied.
+ * @param {object} hit - { amount, type }.
+ * @param {object} [defense]
+ * @param {number} [defense.armor=0] - Taken off the damage of every hit.
+ * @param {object} [defense.resistances={}] - Fraction of the damage of each type
+ *        ignored, by damage type (0.5 halves it, 1 is immune, below 0 is a weakness).
+ * @returns {number} - Damage dealt: at least 1, unless immune to the hit's type.
+ */
+export function applyDefense(hit, { armor = 0, resistances = {} } = {}) {
+	const type = hit.type || 'physical';
+	if (!DAMAGE_TYPES.includes(type)) {
+		throw new Error(`Unknown damage type '${type}'.`);
+	}
+
+	const resistance = resistances[type] || 0;
+	if (resistance >= 1) return 0;
+
+	return Math.max(1, Math.round((hit.amount - armor) * (1 - resistance)));
+}
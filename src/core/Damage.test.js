@@ -0,0 +1,70 @@
+// Damage.test.js - Tests for critical hits, armor and resistances (run with npm test)
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { rollHit, applyDefense } from './Damage.js';
+import Random from './Random.js';
+
+test('armor is taken off every hit, down to at least 1', () => {
+	assert.equal(
+		applyDefense({ amount: 10, type: 'physical' }, { armor: 2 }),
+		8
+	);
+	assert.equal(
+		applyDefense({ amount: 3, type: 'physical' }, { armor: 5 }),
+		1
+	);
+	assert.equal(applyDefense({ amount: 10 }), 10);
+});
+
+test('resistances scale the damage of their type after armor', () => {
+	const defense = { armor: 2, resistances: { explosion: 0.5, magic: -0.5 } };
+
+	assert.equal(applyDefense({ amount: 30, type: 'explosion' }, defense), 14);
+	assert.equal(applyDefense({ amount: 10, type: 'magic' }, defense), 12);
+	assert.equal(applyDefense({ amount: 10, type: 'physical' }, defense), 8);
+});
+
+test('full resistance ignores the hit', () => {
+	const defense = { resistances: { explosion: 1 } };
+
+	assert.equal(applyDefense({ amount: 50, type: 'explosion' }, defense), 0);
+});
+
+test('status effect damage types have resistances too', () => {
+	const defense = { armor: 2, resistances: { fire: 1, poison: 0.5 } };
+
+	assert.equal(applyDefense({ amount: 6, type: 'fire' }, defense), 0);
+	assert.equal(applyDefense({ amount: 6, type: 'poison' }, defense), 2);
+});
+
+test('unknown damage types are rejected', () => {
+	assert.throws(
+		() => applyDefense({ amount: 10, type: 'ice' }),
+		/Unknown damage type 'ice'/
+	);
+});
+
+test('critical hits multiply the damage', () => {
+	const alwaysCrit = { next: () => 0 };
+	const neverCrit = { next: () => 0.99 };
+	const attack = { damage: 10, critChance: 0.5, critMultiplier: 2.5 };
+
+	assert.deepEqual(rollHit(attack, alwaysCrit), {
+		amount: 25,
+		type: 'physical',
+		critical: true,
+	});
+	assert.deepEqual(rollHit(attack, neverCrit), {
+		amount: 10,
+		type: 'physical',
+		critical: false,
+	});
+});
+
+test('attacks that cannot crit do not use up random numbers', () => {
+	const rng = new Random(42);
+	const other = new Random(42);
+
+	rollHit({ damage: 10, type: 'magic' }, rng);
+	assert.equal(rng.next(), other.next());
+});
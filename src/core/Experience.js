@@ -0,0 +1,75 @@
+// Experience.js - Experience points and levels; every level gained earns an
+// upgrade, which the player picks later (between waves)
+
+/**
+ * XP needed to go from a level to the next one.
+ * @param {number} level - The current level (starting at 1).
+ * @returns {number}
+ */
+export function xpForLevel(level) {
+	return 5 * level;
+}
+
+export default class Experience {
+	/**
+	 * @param {object} [state] - Progress to start from (see toJSON).
+	 * @param {number} [state.level=1] - Current level.
+	 * @param {number} [state.xp=0] - XP gained towards the next level.
+	 * @param {number} [state.pendingLevelUps=0] - Levels gained whose upgrade
+	 *        hasn't been picked yet.
+	 */
+	constructor({ level = 1, xp = 0, pendingLevelUps = 0 } = {}) {
+		this.level = level;
+		this.xp = xp;
+		this.pendingLevelUps = pendingLevelUps;
+	}
+
+	// XP needed to reach the next level
+	get toNextLevel() {
+		return xpForLevel(this.level);
+	}
+
+	// Fraction of the way to the next level (0 to 1)
+	get progress() {
+		return this.xp / this.toNextLevel;
+	}
+
+	/**
+	 * Gain XP, leveling up as many times as it allows.
+	 * @param {number} amount - XP gained.
+	 * @returns {number} - Number of levels gained.
+	 */
+	add(amount) {
+		if (!(amount >= 0)) {
+			throw new Error('Experience can only be gained.');
+		}
+
+		this.xp += amount;
+
+		let levels = 0;
+		while (this.xp >= this.toNextLevel) {
+			this.xp -= this.toNextLevel;
+			this.level++;
+			levels++;
+		}
+		this.pendingLevelUps += levels;
+
+		return levels;
+	}
+
+	// Use up a pending level-up once its upgrade is picked; returns false if there is none
+	spendLevelUp() {
+		if (this.pendingLevelUps <= 0) return false;
+
+		this.pendingLevelUps--;
+		return true;
+	}
+
+	toJSON() {
+		return {
+			level: this.level,
+			xp: this.xp,
+			pendingLevelUps: this.pendingLevelUps,
+		};
+	}
+}
@@ -0,0 +1,54 @@
+// Experience.test.js - Tests for experience points and levels (run with npm test)
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import Experience, { xpForLevel } from './Experience.js';
+
+test('each level needs more XP than the last', () => {
+	assert.equal(xpForLevel(1), 5);
+	assert.equal(xpForLevel(2), 10);
+	assert.equal(xpForLevel(3), 15);
+});
+
+test('reaching the threshold levels up and keeps the rest of the XP', () => {
+	const experience = new Experience();
+
+	assert.equal(experience.add(4), 0);
+	assert.equal(experience.progress, 0.8);
+
+	assert.equal(experience.add(3), 1);
+	assert.equal(experience.level, 2);
+	assert.equal(experience.xp, 2);
+	assert.equal(experience.toNextLevel, 10);
+});
+
+test('a big gain levels up several times', () => {
+	const experience = new Experience();
+
+	// 5 to level 2, 10 to level 3, 15 to level 4, 2 left over
+	assert.equal(experience.add(32), 3);
+	assert.equal(experience.level, 4);
+	assert.equal(experience.xp, 2);
+	assert.equal(experience.pendingLevelUps, 3);
+});
+
+test('every level gained earns one upgrade', () => {
+	const experience = new Experience({ level: 2, pendingLevelUps: 1 });
+
+	assert.equal(experience.spendLevelUp(), true);
+	assert.equal(experience.spendLevelUp(), false);
+	assert.equal(experience.pendingLevelUps, 0);
+});
+
+test('experience can only be gained', () => {
+	const experience = new Experience();
+
+	assert.throws(() => experience.add(-1), /only be gained/);
+	assert.throws(() => experience.add(NaN), /only be gained/);
+});
+
+test('progress round-trips through toJSON', () => {
+	const experience = new Experience();
+	experience.add(12);
+
+	assert.deepEqual(new Experience(experience.toJSON()), experience);
+});
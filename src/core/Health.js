@@ -0,0 +1,108 @@
+// Health.js - Health, damage and invulnerability rules shared by the player and enemies
+
+export default class Health {
+	/**
+	 * @param {object} config - Configuration for the health.
+	 * @param {number} config.max - Maximum health (hearts for the player, hits for enemies).
+	 * @param {number} [config.current=config.max] - Starting health.
+	 * @param {number} [config.invulnerableTime=0] - Time in ms after taking damage
+	 *        during which further damage is ignored.
+	 */
+	constructor({ max, current = max, invulnerableTime = 0 }) {
+		if (!(max > 0)) {
+			throw new Error('Health requires a positive max.');
+		}
+
+		this.max = max;
+		this.current = Math.min(current, max);
+		this.invulnerableTime = invulnerableTime;
+		this.invulnerableUntil = -Infinity;
+	}
+
+	get isDead() {
+		return this.current <= 0;
+	}
+
+	// Fraction of health left (1 = unhurt, 0 = dead)
+	get ratio() {
+		return this.current / this.max;
+	}
+
+	get damageTaken() {
+		return this.max - this.current;
+	}
+
+	isInvulnerable(now) {
+		return now < this.invulnerableUntil;
+	}
+
+	// Ignore damage until the given time from now (keeps a longer invulnerability)
+	makeInvulnerable(now, duration) {
+		this.invulnerableUntil = Math.max(
+			this.invulnerableUntil,
+			now + duration
+		);
+	}
+
+	/**
+	 * Take damage unless dead or invulnerable, then become invulnerable for
+	 * invulnerableTime.
+	 * @param {number} amount - Damage to take.
+	 * @param {number} now - Current game time in ms.
+	 * @returns {object} - { applied, killed }: whether the damage was taken and
+	 *          whether it was fatal.
+	 */
+	damage(amount, now) {
+		if (this.isDead || this.isInvulnerable(now)) {
+			return { applied: false, killed: false };
+		}
+
+		this.current = Math.max(0, this.current - amount);
+		this.makeInvulnerable(now, this.invulnerableTime);
+
+		return { applied: true, killed: this.isDead };
+	}
+
+	/**
+	 * Lose health regardless of invulnerability and without becoming
+	 * invulnerable (damage over time, e.g. poison).
+	 * @param {number} amount - Health to lose.
+	 * @returns {object} - { applied, killed }, like damage.
+	 */
+	drain(amount) {
+		if (this.isDead) return { applied: false, killed: false };
+
+		this.current = Math.max(0, this.current - amount);
+
+		return { applied: true, killed: this.isDead };
+	}
+
+	/**
+	 * Heal up to the maximum. The dead can't be healed.
+	 * @param {number} amount - Health to restore.
+	 * @returns {number} - Health actually restored.
+	 */
+	heal(amount) {
+		if (this.isDead) return 0;
+
+		const before = this.current;
+		this.current = Math.min(this.max, this.current + amount);
+
+		return this.current - before;
+	}
+
+	// Change the maximum (e.g. with upgrades), keeping the current health within it
+	setMax(max) {
+		if (!(max > 0)) {
+			throw new Error('Health requires a positive max.');
+		}
+
+		this.max = max;
+		this.current = Math.min(this.current, max);
+	}
+
+	// Set the current health directly (e.g. when restoring a saved run)
+	setCurrent(current) {
+		this.current = Math.max(0, Math.min(current, this.max));
+	}
+}
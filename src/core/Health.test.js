@@ -0,0 +1,93 @@
+// Health.test.js - Tests for the health rules (run with npm test)
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import Health from './Health.js';
+
+test('damage is ignored during the invulnerability window', () => {
+	const health = new Health({ max: 3, invulnerableTime: 500 });
+
+	assert.deepEqual(health.damage(1, 0), { applied: true, killed: false });
+	assert.equal(health.isInvulnerable(499), true);
+	assert.deepEqual(health.damage(1, 499), { applied: false, killed: false });
+	assert.equal(health.current, 2);
+
+	assert.equal(health.isInvulnerable(500), false);
+	assert.deepEqual(health.damage(1, 500), { applied: true, killed: false });
+	assert.equal(health.current, 1);
+});
+
+test('makeInvulnerable keeps the longer invulnerability', () => {
+	const health = new Health({ max: 3, invulnerableTime: 500 });
+
+	health.makeInvulnerable(0, 2000);
+	health.makeInvulnerable(100, 200);
+	assert.equal(health.isInvulnerable(1999), true);
+	assert.equal(health.isInvulnerable(2000), false);
+});
+
+test('an enemy dies after max / damage hits, one per hit cooldown', () => {
+	const health = new Health({ max: 3, invulnerableTime: 150 });
+
+	let hits = 0;
+	let result;
+	for (let now = 0; !health.isDead; now += 150) {
+		result = health.damage(1, now);
+		assert.equal(result.applied, true);
+		hits++;
+	}
+
+	assert.equal(hits, 3);
+	assert.equal(result.killed, true);
+	assert.equal(health.damageTaken, 3);
+	assert.deepEqual(health.damage(1, 1000), { applied: false, killed: false });
+});
+
+test('hits during the cooldown do not count towards the kill', () => {
+	const health = new Health({ max: 2, invulnerableTime: 150 });
+
+	health.damage(1, 0);
+	health.damage(1, 50);
+	health.damage(1, 100);
+	assert.equal(health.isDead, false);
+
+	assert.equal(health.damage(1, 150).killed, true);
+});
+
+test('drain ignores invulnerability without causing it', () => {
+	const health = new Health({ max: 2, invulnerableTime: 500 });
+
+	health.damage(1, 0);
+	assert.deepEqual(health.drain(0.5), { applied: true, killed: false });
+	assert.equal(health.current, 0.5);
+	assert.equal(health.isInvulnerable(500), false);
+
+	assert.deepEqual(health.drain(1), { applied: true, killed: true });
+	assert.deepEqual(health.drain(1), { applied: false, killed: false });
+});
+
+test('heal stops at the maximum and the dead are not healed', () => {
+	const health = new Health({ max: 3, current: 1 });
+
+	assert.equal(health.heal(5), 2);
+	assert.equal(health.current, 3);
+	assert.equal(health.ratio, 1);
+
+	health.damage(3, 0);
+	assert.equal(health.heal(1), 0);
+});
+
+test('setMax keeps the current health within the new maximum', () => {
+	const health = new Health({ max: 3 });
+
+	health.setMax(5);
+	assert.equal(health.current, 3);
+	assert.equal(health.max, 5);
+
+	health.setMax(2);
+	assert.equal(health.current, 2);
+});
+
+test('health needs a positive max', () => {
+	assert.throws(() => new Health({ max: 0 }), /positive max/);
+	assert.throws(() => new Health({ max: 3 }).setMax(-1), /positive max/);
+});
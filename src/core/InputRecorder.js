@@ -0,0 +1,175 @@
+// InputRecorder.js - Records the player input of every frame so a run can be
+// replayed exactly from its seed and the input log
+
+// Bit of each button in a recorded frame
+const INPUT_BITS = {
+	attack: 1,
+	interact: 2,
+	paused: 4,
+	attackHeld: 8,
+	dash: 16,
+	swap: 32,
+	item1: 64,
+	item2: 128,
+	item3: 256,
+	item4: 512,
+	choice1: 1024,
+	choice2: 2048,
+	choice3: 4096,
+};
+
+// Moves (-1 to 1) are recorded in steps of 1 / AXIS_STEPS, so input must be
+// rounded to these steps to replay exactly (see InputManager)
+export const AXIS_STEPS = 127;
+
+// Aim angles are recorded in AIM_STEPS steps around the circle (see quantizeAngle)
+export const AIM_STEPS = 256;
+
+// Frames are packed as buttons + moveX * 2^16 + moveY * 2^24 + aim * 2^32
+// (more than 32 bits, so packed with arithmetic rather than bit shifts)
+const MOVE_X_FACTOR = 0x10000;
+const MOVE_Y_FACTOR = 0x1000000;
+const AIM_FACTOR = 0x100000000;
+
+// Bump when the log format changes so old logs are rejected
+const LOG_VERSION = 8;
+
+function angleFromStep(step) {
+	return (step * Math.PI * 2) / AIM_STEPS;
+}
+
+function stepFromAngle(angle) {
+	const step = Math.round((angle / (Math.PI * 2)) * AIM_STEPS);
+	return ((step % AIM_STEPS) + AIM_STEPS) % AIM_STEPS;
+}
+
+/**
+ * Round an aim angle to the steps kept in the log, so live input and its
+ * replay aim exactly the same way.
+ * @param {number} angle - Angle in radians.
+ * @returns {number} - Angle in radians between 0 and 2 PI.
+ */
+export function quantizeAngle(angle) {
+	return angleFromStep(stepFromAngle(angle));
+}
+
+/**
+ * Pack an input state into a number: the buttons in the low 16 bits, then
+ * moveX, moveY and the aim (0 when not aiming) in a byte each.
+ * @param {object} input - { moveX, moveY, aimAngle } numbers (aimAngle may be
+ *        null) and { attack, attackHeld, dash, swap, interact, item1 to
+ *        item4, choice1 to choice3, paused } booleans.
+ * @returns {number}
+ */
+export function encodeInput(input) {
+	let bits = 0;
+	for (const [name, bit] of Object.entries(INPUT_BITS)) {
+		if (input[name]) bits |= bit;
+	}
+
+	const x = Math.round((input.moveX || 0) * AXIS_STEPS) + AXIS_STEPS;
+	const y = Math.round((input.moveY || 0) * AXIS_STEPS) + AXIS_STEPS;
+	const aim =
+		input.aimAngle === null || input.aimAngle === undefined
+			? 0
+			: stepFromAngle(input.aimAngle) + 1;
+
+	return bits + x * MOVE_X_FACTOR + y * MOVE_Y_FACTOR + aim * AIM_FACTOR;
+}
+
+// Unpack a number into an input state
+export function decodeInput(packed) {
+	const aim = Math.floor(packed / AIM_FACTOR);
+	const x = Math.floor(packed / MOVE_X_FACTOR) % 0x100;
+	const y = Math.floor(packed / MOVE_Y_FACTOR) % 0x100;
+	const bits = packed % MOVE_X_FACTOR;
+
+	const input = {
+		moveX: (x - AXIS_STEPS) / AXIS_STEPS,
+		moveY: (y - AXIS_STEPS) / AXIS_STEPS,
+		aimAngle: aim === 0 ? null : angleFromStep(aim - 1),
+	};
+	for (const [name, bit] of Object.entries(INPUT_BITS)) {
+		input[name] = (bits & bit) !== 0;
+	}
+	return input;
+}
+
+export default class InputRecorder {
+	/**
+	 * @param {object} run - How the recorded run starts.
+	 * @param {number} run.seed - Seed of the run.
+	 * @param {string} run.mapKey - Map the run starts on.
+	 */
+	constructor({ seed, mapKey }) {
+		this.seed = seed;
+		this.mapKey = mapKey;
+
+		// Run-length encoded frames: [bits, frame count] pairs
+		this.frames = [];
+		this.frameCount = 0;
+	}
+
+	// Record the input of one frame
+	record(input) {
+		const bits = encodeInput(input);
+		const last = this.frames[this.frames.length - 1];
+
+		if (last && last[0] === bits) {
+			last[1]++;
+		} else {
+			this.frames.push([bits, 1]);
+		}
+		this.frameCount++;
+	}
+
+	toJSON() {
+		return {
+			version: LOG_VERSION,
+			seed: this.seed,
+			mapKey: this.mapKey,
+			frameCount: this.frameCount,
+			frames: this.frames,
+		};
+	}
+}
+
+export class InputReplay {
+	/**
+	 * @param {object} log - A log created by InputRecorder.toJSON().
+	 */
+	constructor(log) {
+		if (!log || log.version !== LOG_VERSION) {
+			throw new Error('Unsupported input log version.');
+		}
+
+		this.seed = log.seed;
+		this.mapKey = log.mapKey;
+		this.frames = log.frames;
+		this.frameCount = log.frameCount;
+
+		// Position in the run-length encoded frames
+		this.index = 0;
+		this.repeat = 0;
+		this.frame = 0;
+	}
+
+	get finished() {
+		return this.index >= this.frames.length;
+	}
+
+	// Get the input of the next frame, or null once the log is over
+	next() {
+		if (this.finished) return null;
+
+		const [bits, count] = this.frames[this.index];
+		this.repeat++;
+		if (this.repeat >= count) {
+			this.index++;
+			this.repeat = 0;
+		}
+		this.frame++;
+
+		return decodeInput(bits);
+	}
+}
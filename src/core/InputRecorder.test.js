@@ -0,0 +1,109 @@
+// InputRecorder.test.js - Tests for recording and replaying input (run with npm test)
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import InputRecorder, {
+	InputReplay,
+	AXIS_STEPS,
+	encodeInput,
+	decodeInput,
+	quantizeAngle,
+} from './InputRecorder.js';
+
+// Input of a frame with every field at rest
+function idle(overrides = {}) {
+	return {
+		moveX: 0,
+		moveY: 0,
+		aimAngle: null,
+		attack: false,
+		attackHeld: false,
+		dash: false,
+		swap: false,
+		interact: false,
+		item1: false,
+		item2: false,
+		item3: false,
+		item4: false,
+		choice1: false,
+		choice2: false,
+		choice3: false,
+		paused: false,
+		...overrides,
+	};
+}
+
+test('an input packs and unpacks to the same input', () => {
+	const input = idle({
+		moveX: -1,
+		moveY: 64 / AXIS_STEPS,
+		aimAngle: quantizeAngle(2),
+		attack: true,
+		item3: true,
+		choice2: true,
+	});
+
+	assert.deepEqual(decodeInput(encodeInput(input)), input);
+	assert.deepEqual(decodeInput(encodeInput(idle())), idle());
+});
+
+test('moves are rounded to AXIS_STEPS steps', () => {
+	const decoded = decodeInput(encodeInput(idle({ moveX: 0.5, moveY: -0.3 })));
+
+	assert.equal(decoded.moveX, Math.round(0.5 * AXIS_STEPS) / AXIS_STEPS);
+	assert.equal(decoded.moveY, Math.round(-0.3 * AXIS_STEPS) / AXIS_STEPS);
+});
+
+test('quantized angles replay exactly and stay within a turn', () => {
+	[0, 1, 3, -1, Math.PI * 2, 10].forEach((angle) => {
+		const aim = quantizeAngle(angle);
+
+		assert.ok(aim >= 0 && aim < Math.PI * 2);
+		assert.equal(quantizeAngle(aim), aim);
+		assert.equal(
+			decodeInput(encodeInput(idle({ aimAngle: aim }))).aimAngle,
+			aim
+		);
+	});
+	assert.equal(quantizeAngle(-Math.PI / 2), quantizeAngle((Math.PI * 3) / 2));
+});
+
+test('a recorded log replays the same frames', () => {
+	const frames = [
+		idle(),
+		idle(),
+		idle({ moveX: 1 }),
+		idle({ moveX: 1, attack: true, attackHeld: true }),
+		idle({ moveX: 1, attackHeld: true }),
+		idle({ aimAngle: quantizeAngle(1) }),
+		idle({ paused: true }),
+	];
+
+	const recorder = new InputRecorder({ seed: 0, mapKey: 'generated' });
+	frames.forEach((input) => recorder.record(input));
+
+	// Repeated frames are stored once with a count
+	assert.equal(recorder.frames.length, 6);
+	assert.equal(recorder.frameCount, frames.length);
+
+	const log = JSON.parse(JSON.stringify(recorder));
+	const replay = new InputReplay(log);
+	assert.equal(replay.seed, 0);
+	assert.equal(replay.mapKey, 'generated');
+
+	const replayed = [];
+	while (!replay.finished) {
+		replayed.push(replay.next());
+	}
+	assert.deepEqual(replayed, frames);
+	assert.equal(replay.next(), null);
+});
+
+test('logs of another version are rejected', () => {
+	const log = new InputRecorder({ seed: 1, mapKey: 'map' }).toJSON();
+
+	assert.throws(
+		() => new InputReplay({ ...log, version: log.version - 1 }),
+		/Unsupported input log version/
+	);
+	assert.throws(() => new InputReplay(null), /Unsupported input log version/);
+});
@@ -0,0 +1,98 @@
+// Inventory.js - Items carried by the player: stacks of consumables (potions,
+// bombs, keys) up to a limit per item, and equipment (weapons)
+
+export default class Inventory {
+	/**
+	 * @param {object} config - Configuration for the inventory.
+	 * @param {object} config.limits - Most of each item that can be carried, by item type.
+	 * @param {object} [config.items={}] - Item counts to start with, by item type.
+	 * @param {string[]} [config.equipment=[]] - Equipment to start with (e.g. weapon types).
+	 */
+	constructor({ limits, items = {}, equipment = [] }) {
+		this.limits = limits;
+		this.items = {};
+		this.equipment = [...equipment];
+
+		Object.entries(items).forEach(([type, count]) => {
+			this.add(type, count);
+		});
+	}
+
+	getLimit(type) {
+		const limit = this.limits[type];
+		if (limit === undefined) {
+			throw new Error(`Unknown item type '${type}'.`);
+		}
+
+		return limit;
+	}
+
+	// Number of an item carried
+	count(type) {
+		return this.items[type] || 0;
+	}
+
+	has(type) {
+		return this.count(type) > 0;
+	}
+
+	// Whether one more of an item fits
+	canAdd(type) {
+		return this.count(type) < this.getLimit(type);
+	}
+
+	/**
+	 * Add items, up to the item's limit.
+	 * @param {string} type - The item type.
+	 * @param {number} [amount=1] - Number of items to add.
+	 * @returns {number} - Number of items actually added.
+	 */
+	add(type, amount = 1) {
+		const added = Math.max(
+			0,
+			Math.min(amount, this.getLimit(type) - this.count(type))
+		);
+		if (added > 0) {
+			this.items[type] = this.count(type) + added;
+		}
+
+		return added;
+	}
+
+	/**
+	 * Take items out (when they are used).
+	 * @param {string} type - The item type.
+	 * @param {number} [amount=1] - Number of items to remove.
+	 * @returns {boolean} - Whether there were enough items (nothing is removed otherwise).
+	 */
+	remove(type, amount = 1) {
+		if (this.count(type) < amount) return false;
+
+		this.items[type] = this.count(type) - amount;
+		if (this.items[type] === 0) {
+			delete this.items[type];
+		}
+
+		return true;
+	}
+
+	// Add a piece of equipment; returns whether it is new
+	addEquipment(type) {
+		if (this.equipment.includes(type)) return false;
+
+		this.equipment.push(type);
+		return true;
+	}
+
+	hasEquipment(type) {
+		return this.equipment.includes(type);
+	}
+
+	// Serializable contents, which can be passed back to the constructor
+	toJSON() {
+		return {
+			items: { ...this.items },
+			equipment: [...this.equipment],
+		};
+	}
+}
@@ -0,0 +1,60 @@
+// Inventory.test.js - Tests for the items and equipment carried (run with npm test)
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import Inventory from './Inventory.js';
+
+const LIMITS = { potion: 3, bomb: 5, key: 1 };
+
+test('items stack up to their limit', () => {
+	const inventory = new Inventory({ limits: LIMITS });
+
+	assert.equal(inventory.add('potion', 2), 2);
+	assert.equal(inventory.canAdd('potion'), true);
+	assert.equal(inventory.add('potion', 5), 1);
+	assert.equal(inventory.count('potion'), 3);
+	assert.equal(inventory.canAdd('potion'), false);
+	assert.equal(inventory.add('potion'), 0);
+});
+
+test('starting items are capped at their limit too', () => {
+	const inventory = new Inventory({ limits: LIMITS, items: { key: 4 } });
+
+	assert.equal(inventory.count('key'), 1);
+});
+
+test('removing needs enough items and takes nothing otherwise', () => {
+	const inventory = new Inventory({ limits: LIMITS, items: { bomb: 2 } });
+
+	assert.equal(inventory.remove('bomb', 3), false);
+	assert.equal(inventory.count('bomb'), 2);
+
+	assert.equal(inventory.remove('bomb'), true);
+	assert.equal(inventory.remove('bomb'), true);
+	assert.equal(inventory.has('bomb'), false);
+	assert.deepEqual(inventory.toJSON().items, {});
+});
+
+test('unknown items are rejected', () => {
+	const inventory = new Inventory({ limits: LIMITS });
+
+	assert.throws(() => inventory.add('sword'), /Unknown item type 'sword'/);
+});
+
+test('equipment is only added once', () => {
+	const inventory = new Inventory({ limits: LIMITS, equipment: ['sword'] });
+
+	assert.equal(inventory.addEquipment('sword'), false);
+	assert.equal(inventory.addEquipment('axe'), true);
+	assert.equal(inventory.hasEquipment('axe'), true);
+});
+
+test('the contents round-trip through toJSON', () => {
+	const inventory = new Inventory({
+		limits: LIMITS,
+		items: { potion: 2, key: 1 },
+		equipment: ['sword', 'spear'],
+	});
+	const copy = new Inventory({ limits: LIMITS, ...inventory.toJSON() });
+
+	assert.deepEqual(copy.toJSON(), inventory.toJSON());
+});
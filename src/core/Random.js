@@ -0,0 +1,56 @@
+// Random.js - Seedable random number generator (mulberry32) used for everything
+// random in a run, so a run can be reproduced from its seed
+
+export default class Random {
+	/**
+	 * @param {number} seed - Any integer; the same seed gives the same numbers.
+	 */
+	constructor(seed) {
+		this.state = seed >>> 0;
+	}
+
+	// A random seed for a new run
+	static randomSeed() {
+		return Math.floor(Math.random() * 0x7fffffff);
+	}
+
+	// Float in [0, 1)
+	next() {
+		this.state = (this.state + 0x6d2b79f5) >>> 0;
+		let t = this.state;
+		t = Math.imul(t ^ (t >>> 15), t | 1);
+		t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+		return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+	}
+
+	// Integer between min and max (inclusive)
+	between(min, max) {
+		min = Math.ceil(min);
+		max = Math.floor(max);
+		return min + Math.floor(this.next() * (max - min + 1));
+	}
+
+	// Float between min and max
+	float(min, max) {
+		return min + this.next() * (max - min);
+	}
+
+	// Random element of an array (undefined if empty)
+	pick(list) {
+		return list[Math.floor(this.next() * list.length)];
+	}
+
+	// Angle in radians between 0 and 2 PI
+	angle() {
+		return this.next() * Math.PI * 2;
+	}
+
+	// Internal state, to continue the same sequence later (e.g. on another map)
+	getState() {
+		return this.state;
+	}
+
+	setState(state) {
+		this.state = state >>> 0;
+	}
+}
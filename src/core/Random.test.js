@@ -0,0 +1,72 @@
+// Random.test.js - Tests for the seedable random generator (run with npm test)
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import Random from './Random.js';
+
+// First numbers of a generator
+function sequence(random, count = 20) {
+	return Array.from({ length: count }, () => random.next());
+}
+
+test('the same seed gives the same sequence', () => {
+	assert.deepEqual(sequence(new Random(123)), sequence(new Random(123)));
+	assert.notDeepEqual(sequence(new Random(123)), sequence(new Random(124)));
+});
+
+test('seed 0 is a seed like any other', () => {
+	assert.deepEqual(sequence(new Random(0)), sequence(new Random(0)));
+	assert.notDeepEqual(sequence(new Random(0)), sequence(new Random(1)));
+});
+
+test('next stays in [0, 1)', () => {
+	sequence(new Random(7), 1000).forEach((value) => {
+		assert.ok(value >= 0 && value < 1, `${value} out of range`);
+	});
+});
+
+test('between stays in range and reaches both ends', () => {
+	const random = new Random(42);
+	const seen = new Set();
+
+	for (let i = 0; i < 1000; i++) {
+		const value = random.between(-2, 3);
+		assert.ok(Number.isInteger(value) && value >= -2 && value <= 3);
+		seen.add(value);
+	}
+	assert.equal(seen.size, 6);
+});
+
+test('float and angle stay in range', () => {
+	const random = new Random(5);
+
+	for (let i = 0; i < 1000; i++) {
+		const value = random.float(-1.5, 2.5);
+		assert.ok(value >= -1.5 && value < 2.5);
+
+		const angle = random.angle();
+		assert.ok(angle >= 0 && angle < Math.PI * 2);
+	}
+});
+
+test('pick returns elements of the list', () => {
+	const random = new Random(9);
+	const list = ['goblin', 'goblin_shaman', 'goblin_king'];
+	const seen = new Set();
+
+	for (let i = 0; i < 200; i++) {
+		const item = random.pick(list);
+		assert.ok(list.includes(item));
+		seen.add(item);
+	}
+	assert.equal(seen.size, list.length);
+	assert.equal(random.pick([]), undefined);
+});
+
+test('the state continues the same sequence elsewhere', () => {
+	const random = new Random(77);
+	sequence(random, 5);
+
+	const copy = new Random(0);
+	copy.setState(random.getState());
+	assert.deepEqual(sequence(copy), sequence(random));
+});
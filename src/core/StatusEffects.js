@@ -0,0 +1,168 @@
+// StatusEffects.js - Timed status effects (poison, burn, slow, stun...) on the
+// player or an enemy: durations, damage ticks, speed multipliers and stacking
+
+export default class StatusEffects {
+	/**
+	 * @param {object} types - Settings of every status effect, by type key (see
+	 *        StatusEffectTypes.js): duration, tickInterval, speedMultiplier,
+	 *        stun, stacking, maxStacks and tint are used here.
+	 */
+	constructor(types) {
+		this.types = types;
+
+		// Active effects by type: { type, stacks, end, nextTick }, in the order
+		// they were applied
+		this.effects = new Map();
+	}
+
+	getType(type) {
+		const config = this.types[type];
+		if (!config) {
+			throw new Error(`Unknown status effect type '${type}'.`);
+		}
+
+		return config;
+	}
+
+	/**
+	 * Apply an effect. If it is already active, its type's stacking rule
+	 * decides what happens:
+	 *   'refresh' (default): restart the duration (a longer time left is kept)
+	 *   'extend': add the duration to the time left
+	 *   'stack': add a stack, up to maxStacks (ticks deal damage per stack),
+	 *            and restart the duration
+	 *   'ignore': keep the active effect as it is
+	 * @param {string} type - The status effect type.
+	 * @param {number} now - Current game time in ms.
+	 * @param {object} [options]
+	 * @param {number} [options.duration] - Duration in ms instead of the type's.
+	 * @returns {boolean} - Whether the effect wasn't active before.
+	 */
+	apply(type, now, { duration } = {}) {
+		const config = this.getType(type);
+		const time = duration !== undefined ? duration : config.duration;
+
+		const effect = this.effects.get(type);
+		if (!effect) {
+			this.effects.set(type, {
+				type,
+				stacks: 1,
+				end: now + time,
+				nextTick: config.tickInterval
+					? now + config.tickInterval
+					: Infinity,
+			});
+			return true;
+		}
+
+		switch (config.stacking || 'refresh') {
+			case 'refresh':
+				effect.end = Math.max(effect.end, now + time);
+				break;
+			case 'extend':
+				effect.end += time;
+				break;
+			case 'stack':
+				effect.stacks = Math.min(
+					effect.stacks + 1,
+					config.maxStacks || Infinity
+				);
+				effect.end = Math.max(effect.end, now + time);
+				break;
+			case 'ignore':
+				break;
+			default:
+				throw new Error(`Unknown stacking rule '${config.stacking}'.`);
+		}
+
+		return false;
+	}
+
+	has(type) {
+		return this.effects.has(type);
+	}
+
+	remove(type) {
+		this.effects.delete(type);
+	}
+
+	clear() {
+		this.effects.clear();
+	}
+
+	/**
+	 * Advance the effects to the given time.
+	 * @param {number} now - Current game time in ms.
+	 * @returns {object} - { ticks, expired }: the damage ticks due since the
+	 *          last update ({ type, stacks }, one per tick) and the types of
+	 *          the effects that ran out.
+	 */
+	update(now) {
+		const ticks = [];
+		const expired = [];
+
+		this.effects.forEach((effect, type) => {
+			const interval = this.getType(type).tickInterval;
+
+			// A tick due right as the effect ends still counts
+			while (effect.nextTick <= Math.min(now, effect.end)) {
+				ticks.push({ type, stacks: effect.stacks });
+				effect.nextTick += interval;
+			}
+
+			if (now >= effect.end) {
+				this.effects.delete(type);
+				expired.push(type);
+			}
+		});
+
+		return { ticks, expired };
+	}
+
+	// Types of the active effects, in the order they were applied
+	get activeTypes() {
+		return [...this.effects.keys()];
+	}
+
+	// Whether an active effect keeps from moving and acting
+	get isStunned() {
+		return this.activeTypes.some((type) => this.getType(type).stun);
+	}
+
+	// Speed compared to normal, with every active effect's multiplier applied
+	get speedMultiplier() {
+		let multiplier = 1;
+		this.effects.forEach((effect, type) => {
+			const config = this.getType(type);
+			if (config.speedMultiplier !== undefined) {
+				multiplier *= config.speedMultiplier;
+			}
+		});
+		return multiplier;
+	}
+
+	// Tint of the most recently started effect that has one, or null
+	get tint() {
+		let tint = null;
+		this.effects.forEach((effect, type) => {
+			const config = this.getType(type);
+			if (config.tint !== undefined) {
+				tint = config.tint;
+			}
+		});
+		return tint;
+	}
+
+	/**
+	 * Active effects, in the order they were applied (for HUD icons).
+	 * @param {number} now - Current game time in ms.
+	 * @returns {object[]} - { type, stacks, timeLeft } of every active effect.
+	 */
+	getActive(now) {
+		return [...this.effects.values()].map((effect) => ({
+			type: effect.type,
+			stacks: effect.stacks,
+			timeLeft: Math.max(0, effect.end - now),
+		}));
+	}
+}
@@ -0,0 +1,111 @@
+// StatusEffects.test.js - Tests for status effect durations, ticks and stacking (run with npm test)
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import StatusEffects from './StatusEffects.js';
+
+const TYPES = {
+	poison: {
+		duration: 4500,
+		stacking: 'stack',
+		maxStacks: 3,
+		tickInterval: 1500,
+	},
+	burn: { duration: 3000, tickInterval: 1000, tint: 0xffaa77 },
+	slow: { duration: 3000, stacking: 'extend', speedMultiplier: 0.5 },
+	chill: { duration: 2000, speedMultiplier: 0.8, tint: 0xaabbff },
+	stun: { duration: 500, stacking: 'ignore', stun: true },
+};
+
+test('ticks are due every interval until the effect expires', () => {
+	const status = new StatusEffects(TYPES);
+
+	assert.equal(status.apply('burn', 0), true);
+	assert.deepEqual(status.update(999), { ticks: [], expired: [] });
+	assert.deepEqual(status.update(1000).ticks, [{ type: 'burn', stacks: 1 }]);
+
+	// A tick due right as the effect ends still counts, then it expires
+	assert.deepEqual(status.update(3000), {
+		ticks: [
+			{ type: 'burn', stacks: 1 },
+			{ type: 'burn', stacks: 1 },
+		],
+		expired: ['burn'],
+	});
+	assert.equal(status.has('burn'), false);
+});
+
+test('a late update catches up on every tick missed', () => {
+	const status = new StatusEffects(TYPES);
+
+	status.apply('burn', 0);
+	assert.equal(status.update(10000).ticks.length, 3);
+});
+
+test('stacking adds stacks up to the limit and restarts the duration', () => {
+	const status = new StatusEffects(TYPES);
+
+	status.apply('poison', 0);
+	assert.equal(status.apply('poison', 1000), false);
+	status.apply('poison', 2000);
+	status.apply('poison', 3000);
+
+	assert.deepEqual(status.getActive(3000), [
+		{ type: 'poison', stacks: 3, timeLeft: 4500 },
+	]);
+	assert.deepEqual(status.update(3000).ticks, [
+		{ type: 'poison', stacks: 3 },
+		{ type: 'poison', stacks: 3 },
+	]);
+});
+
+test('refresh keeps the longer time left and extend adds to it', () => {
+	const status = new StatusEffects(TYPES);
+
+	status.apply('burn', 0, { duration: 5000 });
+	status.apply('burn', 1000);
+	assert.equal(status.getActive(1000)[0].timeLeft, 4000);
+
+	status.apply('slow', 0);
+	status.apply('slow', 1000);
+	assert.equal(status.getActive(1000)[1].timeLeft, 5000);
+});
+
+test('ignore keeps the active effect as it is', () => {
+	const status = new StatusEffects(TYPES);
+
+	status.apply('stun', 0);
+	status.apply('stun', 400);
+	assert.equal(status.isStunned, true);
+
+	assert.deepEqual(status.update(500).expired, ['stun']);
+	assert.equal(status.isStunned, false);
+});
+
+test('speed multipliers combine and the latest tint wins', () => {
+	const status = new StatusEffects(TYPES);
+
+	assert.equal(status.speedMultiplier, 1);
+	assert.equal(status.tint, null);
+
+	status.apply('burn', 0);
+	status.apply('slow', 0);
+	status.apply('chill', 0);
+	assert.equal(status.speedMultiplier, 0.4);
+	assert.equal(status.tint, 0xaabbff);
+
+	status.remove('chill');
+	assert.equal(status.tint, 0xffaa77);
+	assert.deepEqual(status.activeTypes, ['burn', 'slow']);
+
+	status.clear();
+	assert.deepEqual(status.activeTypes, []);
+});
+
+test('unknown effects are rejected', () => {
+	const status = new StatusEffects(TYPES);
+
+	assert.throws(
+		() => status.apply('freeze', 0),
+		/Unknown status effect type 'freeze'/
+	);
+});
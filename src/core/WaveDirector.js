@@ -0,0 +1,152 @@
+// WaveDirector.js - Wave progression: queues the spawns of each wave and
+// starts the next one once a wave is cleared
+
+export default class WaveDirector {
+	/**
+	 * @param {object} waveData - The wave script ({ restTime, waves: [{ restTime, groups }] },
+	 *        see assets/waves/waves.json).
+	 * @param {Clock} clock - Game clock used for spawn delays and rest times.
+	 * @param {object} handlers - Callbacks into the game:
+	 * @param {function} handlers.spawn - Called with a queued spawn { type, region } when it is due.
+	 * @param {function} handlers.countAlive - Returns the number of enemies still alive.
+	 * @param {function} [handlers.waveStarted] - Called with the wave number when a wave starts.
+	 * @param {function} [handlers.waveCleared] - Called with the wave number when a wave is
+	 *        cleared, as the rest before the next wave starts.
+	 * @param {function} [handlers.allWavesCleared] - Called once every wave has been cleared.
+	 */
+	constructor(waveData, clock, handlers) {
+		this.waveData = waveData;
+		this.clock = clock;
+		this.handlers = handlers;
+
+		this.currentWave = 0;
+
+		// Spawns of the current wave that are still waiting for their delay
+		this.pending = [];
+
+		// Whether the rest before the next wave has started
+		this.resting = false;
+	}
+
+	get maxWaves() {
+		return this.waveData.waves.length;
+	}
+
+	// Whether every wave has been cleared
+	get isFinished() {
+		return this.currentWave > this.maxWaves;
+	}
+
+	// Start the next wave, or finish the run after the last one
+	startNextWave() {
+		this.currentWave++;
+		this.resting = false;
+
+		if (this.isFinished) {
+			if (this.handlers.allWavesCleared) {
+				this.handlers.allWavesCleared();
+			}
+			return;
+		}
+
+		this.getWaveSpawns(this.currentWave).forEach((spawn) => {
+			this.queueSpawn(spawn);
+		});
+
+		if (this.handlers.waveStarted) {
+			this.handlers.waveStarted(this.currentWave);
+		}
+
+		// A wave without enemies is cleared right away
+		this.checkCleared();
+	}
+
+	/**
+	 * Continue a wave that was in progress (on another map or in a save).
+	 * @param {number} currentWave - The wave number to continue.
+	 * @param {string[]} remainingTypes - Enemy types still to spawn, one after another.
+	 */
+	resume(currentWave, remainingTypes) {
+		this.currentWave = currentWave;
+		this.resting = false;
+
+		// Nothing left to do once all waves have been cleared
+		if (this.isFinished) return;
+
+		remainingTypes.forEach((type, i) => {
+			this.queueSpawn({ type, delay: 1000 + i * 500 });
+		});
+
+		this.checkCleared();
+	}
+
+	/**
+	 * Get every spawn of a wave, staggering the enemies within each group.
+	 * @param {number} waveNumber - The wave number (starting at 1).
+	 * @returns {object[]} - Spawns { type, region, delay }.
+	 */
+	getWaveSpawns(waveNumber) {
+		const wave = this.waveData.waves[waveNumber - 1];
+		const spawns = [];
+
+		(wave.groups || []).forEach((group) => {
+			for (let i = 0; i < (group.count || 0); i++) {
+				spawns.push({
+					type: group.type,
+					region: group.region,
+					delay: (group.delay || 0) + i * (group.stagger || 0),
+				});
+			}
+		});
+
+		return spawns;
+	}
+
+	// Pause in ms after a wave is cleared (per wave, or the script's default)
+	getRestTime(waveNumber) {
+		const wave = this.waveData.waves[waveNumber - 1];
+
+		return wave && wave.restTime !== undefined
+			? wave.restTime
+			: this.waveData.restTime || 0;
+	}
+
+	// Wait for the spawn's delay, then hand it to the game
+	queueSpawn(spawn) {
+		this.pending.push(spawn);
+
+		const release = () => {
+			this.pending = this.pending.filter((s) => s !== spawn);
+			this.handlers.spawn(spawn);
+		};
+
+		if (spawn.delay > 0) {
+			this.clock.delay(spawn.delay, release);
+		} else {
+			release();
+		}
+	}
+
+	/**
+	 * Start the rest before the next wave once every enemy of the wave has
+	 * spawned and been defeated. Call whenever an enemy is removed.
+	 * @returns {boolean} - Whether the wave is cleared.
+	 */
+	checkCleared() {
+		if (this.pending.length > 0 || this.handlers.countAlive() > 0) {
+			return false;
+		}
+		if (this.resting || this.isFinished) return true;
+
+		this.resting = true;
+		this.clock.delay(this.getRestTime(this.currentWave), () => {
+			this.startNextWave();
+		});
+
+		if (this.handlers.waveCleared) {
+			this.handlers.waveCleared(this.currentWave);
+		}
+
+		return true;
+	}
+}
@@ -0,0 +1,118 @@
+// WaveDirector.test.js - Tests for wave progression on a manual clock (run with npm test)
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import Clock from './Clock.js';
+import WaveDirector from './WaveDirector.js';
+
+const WAVES = {
+	restTime: 3000,
+	waves: [
+		{
+			groups: [{ type: 'goblin', count: 2, delay: 1000, stagger: 500 }],
+		},
+		{
+			restTime: 0,
+			groups: [{ type: 'goblin_shaman', count: 1, region: 'north' }],
+		},
+	],
+};
+
+// A director on a manual clock that records what it asks the game to do
+function createDirector() {
+	const clock = new Clock();
+	const alive = [];
+	const events = [];
+
+	const director = new WaveDirector(WAVES, clock, {
+		spawn: (spawn) => {
+			alive.push(spawn);
+			events.push(`${clock.now()} spawn ${spawn.type}`);
+		},
+		countAlive: () => alive.length,
+		waveStarted: (wave) => events.push(`${clock.now()} wave ${wave}`),
+		waveCleared: (wave) => events.push(`${clock.now()} cleared ${wave}`),
+		allWavesCleared: () => events.push(`${clock.now()} won`),
+	});
+
+	// Kill the oldest living enemy
+	const kill = () => {
+		alive.shift();
+		director.checkCleared();
+	};
+
+	return { clock, director, alive, events, kill };
+}
+
+test('spawns wait for their delay and stagger', () => {
+	const { clock, director, events } = createDirector();
+
+	director.startNextWave();
+	assert.deepEqual(events, ['0 wave 1']);
+	assert.equal(director.pending.length, 2);
+
+	clock.advance(999);
+	assert.equal(events.length, 1);
+
+	clock.advance(1);
+	clock.advance(500);
+	assert.deepEqual(events, [
+		'0 wave 1',
+		'1000 spawn goblin',
+		'1500 spawn goblin',
+	]);
+	assert.equal(director.pending.length, 0);
+});
+
+test('a wave is not cleared while spawns are pending or enemies alive', () => {
+	const { clock, director, kill } = createDirector();
+
+	director.startNextWave();
+	clock.advance(1000);
+	kill();
+	assert.equal(director.checkCleared(), false);
+
+	clock.advance(500);
+	assert.equal(director.checkCleared(), false);
+	kill();
+	assert.equal(director.resting, true);
+});
+
+test('waves follow each other after their rest time until the run is won', () => {
+	const { clock, director, alive, events, kill } = createDirector();
+
+	director.startNextWave();
+	clock.advance(1500);
+	kill();
+	kill();
+
+	// Rest time of the script
+	clock.advance(2999);
+	assert.equal(director.currentWave, 1);
+	clock.advance(1);
+	assert.equal(director.currentWave, 2);
+	assert.equal(alive[0].region, 'north');
+
+	// Rest time of the wave (none), then the run is won
+	kill();
+	clock.advance(0);
+	assert.equal(director.isFinished, true);
+	assert.deepEqual(events, [
+		'0 wave 1',
+		'1000 spawn goblin',
+		'1500 spawn goblin',
+		'1500 cleared 1',
+		'4500 spawn goblin_shaman',
+		'4500 wave 2',
+		'4500 cleared 2',
+		'4500 won',
+	]);
+});
+
+test('resume continues a wave with the enemies left to spawn', () => {
+	const { clock, director, events } = createDirector();
+
+	director.resume(2, ['goblin', 'goblin_shaman']);
+	clock.advance(1500);
+	assert.equal(director.currentWave, 2);
+	assert.deepEqual(events, ['1000 spawn goblin', '1500 spawn goblin_shaman']);
+});
@@ -12,6 +12,11 @@ const config = {
 			debug: false,
 		},
 	},
+	input: {
+		gamepad: true,
+		// Joystick and a touch button at the same time (see TouchControls)
+		activePointers: 3,
+	},
 	scene: [GameScene],
 	scale: {
 		mode: Phaser.Scale.FIT,
@@ -20,3 +25,18 @@ const config = {
 };
 
 const game = new Phaser.Game(config);
+
+// Recorded and replayed runs advance every frame by the same fixed time
+// instead of the real frame time, so a replay plays out exactly like the
+// recording whatever the frame rate
+const params = new URLSearchParams(window.location.search);
+if (params.has('record') || params.has('replay')) {
+	const frameTime = 1000 / 60;
+	let time = 0;
+	const step = game.step;
+
+	game.step = function () {
+		time += frameTime;
+		step.call(this, time, frameTime);
+	};
+}